@@ -0,0 +1,243 @@
+/**
+ * Match Format Management Module
+ *
+ * This module provides controllers for managing match formats: the players per side, innings, overs, balls per over,
+ * wickets, powerplay and bowling limits a tournament or match is played under.
+ */
+
+import { CricketMatch, CricketTournament, MatchFormat } from '../../../db/model/index.js';
+import httpResponse from "../../../utils/httpResponse.js";
+import httpError from "../../../utils/httpError.js";
+import responseMessage from "../../../constant/responseMessage.js";
+
+// Fields of a format that can be set through the API
+const FORMAT_FIELDS = [
+    'name',
+    'description',
+    'players_per_side',
+    'max_wickets',
+    'innings_per_side',
+    'overs',
+    'balls_per_over',
+    'powerplay_overs',
+    'death_overs',
+    'max_overs_per_bowler',
+    'last_man_stands',
+    'follow_on_lead',
+];
+
+const pickFormatFields = (body) => Object.fromEntries(
+    FORMAT_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+);
+
+/**
+ * Creates a new match format.
+ *
+ * @async
+ * @function createFormat
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} req.body - The request body containing the format details.
+ * @param {string} req.body.name - The unique name of the format.
+ * @param {number} req.body.overs - The overs per innings.
+ * @param {number} [req.body.players_per_side=11] - The players in each team.
+ * @param {number} [req.body.max_wickets] - The wickets that end an innings, when fewer than all out.
+ * @param {number} [req.body.balls_per_over=6] - The legal balls in an over.
+ * @param {number} [req.body.powerplay_overs=0] - The powerplay overs at the start of an innings.
+ * @param {number} [req.body.death_overs=0] - The death overs at the end of an innings, for phase-wise figures.
+ * @param {number} [req.body.max_overs_per_bowler] - The overs a single bowler may bowl in an innings; unlimited
+ *        by default in two-innings formats.
+ * @param {boolean} [req.body.last_man_stands=false] - Whether the last batsman may bat alone.
+ * @param {number} [req.body.innings_per_side=1] - The innings each side bats, 1 or 2.
+ * @param {number} [req.body.follow_on_lead] - The first innings lead that allows the follow-on to be enforced.
+ * @param {Object} res - The HTTP response object.
+ * @param {Function} next - Middleware function for error handling.
+ *
+ * @description
+ * This function creates a match format that tournaments and matches can reference. The limits are validated
+ * against each other, e.g. the powerplay cannot be longer than the innings.
+ *
+ * @example
+ * POST /api/v1/format
+ * {
+ *   "name": "6-a-side T10",
+ *   "players_per_side": 6,
+ *   "overs": 10,
+ *   "powerplay_overs": 2,
+ *   "death_overs": 2,
+ *   "max_overs_per_bowler": 2,
+ *   "last_man_stands": true
+ * }
+ *
+ * @returns {JSON} 201 - Match format created successfully with details.
+ */
+export const createFormat = async (req, res, next) => {
+    try {
+        const details = pickFormatFields(req.body);
+
+        if (!details.name || !details.overs) {
+            httpError(next, new Error('Name and overs are required'), req, 400);
+            return;
+        }
+
+        if (await MatchFormat.exists({ name: details.name })) {
+            httpError(next, new Error(responseMessage.RESOURCE_ALREADY_EXISTS('Match format')), req, 400);
+            return;
+        }
+
+        const format = await MatchFormat.create(details);
+        httpResponse(req, res, 201, responseMessage.RESOURCE_CREATED('Match format'), format);
+    } catch (error) {
+        httpError(next, error, req, 500);
+    }
+};
+
+/**
+ * Retrieves all match formats.
+ *
+ * @async
+ * @function getFormats
+ * @param {Object} req - The HTTP request object.
+ * @param {Object} res - The HTTP response object.
+ * @param {Function} next - Middleware function for error handling.
+ *
+ * @example
+ * GET /api/v1/format
+ *
+ * @returns {JSON} 200 - List of match formats, sorted by name.
+ */
+export const getFormats = async (req, res, next) => {
+    try {
+        const formats = await MatchFormat.find().sort({ name: 1 }).lean().exec();
+        httpResponse(req, res, 200, responseMessage.FETCHED('Match formats'), formats);
+    } catch (error) {
+        httpError(next, error, req, 500);
+    }
+};
+
+/**
+ * Retrieves a match format by ID.
+ *
+ * @async
+ * @function getFormat
+ * @param {Object} req - The HTTP request object.
+ * @param {string} req.params.formatId - The ID of the match format.
+ * @param {Object} res - The HTTP response object.
+ * @param {Function} next - Middleware function for error handling.
+ *
+ * @example
+ * GET /api/v1/format/:formatId
+ *
+ * @returns {JSON} 200 - Details of the match format.
+ */
+export const getFormat = async (req, res, next) => {
+    try {
+        const { formatId } = req.params;
+
+        const format = await MatchFormat.findById(formatId).lean().exec();
+        if (!format) {
+            httpError(next, new Error(responseMessage.RESOURCE_NOT_FOUND('Match format')), req, 404);
+            return;
+        }
+
+        httpResponse(req, res, 200, responseMessage.FETCHED('Match format'), format);
+    } catch (error) {
+        httpError(next, error, req, 500);
+    }
+};
+
+/**
+ * Updates a match format.
+ *
+ * @async
+ * @function updateFormat
+ * @param {Object} req - The HTTP request object.
+ * @param {string} req.params.formatId - The ID of the match format to update.
+ * @param {Object} req.body - The updated format details (see `createFormat`).
+ * @param {Object} res - The HTTP response object.
+ * @param {Function} next - Middleware function for error handling.
+ *
+ * @description
+ * This function updates a match format. A format cannot be changed while a match played under it, directly
+ * or through its tournament, is in progress, since its recorded deliveries would be read under rules they
+ * were not bowled under.
+ *
+ * @example
+ * PATCH /api/v1/format/:formatId
+ * {
+ *   "powerplay_overs": 3
+ * }
+ *
+ * @returns {JSON} 200 - Updated details of the match format.
+ */
+export const updateFormat = async (req, res, next) => {
+    try {
+        const { formatId } = req.params;
+
+        const format = await MatchFormat.findById(formatId).exec();
+        if (!format) {
+            httpError(next, new Error(responseMessage.RESOURCE_NOT_FOUND('Match format')), req, 404);
+            return;
+        }
+
+        // Matches without a format of their own are played under their tournament's
+        const tournaments = await CricketTournament.find({ format: formatId }).select('_id').lean().exec();
+        const matchInProgress = await CricketMatch.exists({
+            status: 'in_progress',
+            $or: [
+                { format: formatId },
+                { format: null, tournament_id: { $in: tournaments.map((tournament) => tournament._id) } },
+            ],
+        });
+        if (matchInProgress) {
+            httpError(next, new Error('Match format is in use by a match in progress'), req, 400);
+            return;
+        }
+
+        format.set(pickFormatFields(req.body));
+        await format.save();
+
+        httpResponse(req, res, 200, responseMessage.RESOURCE_UPDATED('Match format'), format);
+    } catch (error) {
+        httpError(next, error, req, 500);
+    }
+};
+
+/**
+ * Deletes a match format that no tournament or match uses.
+ *
+ * @async
+ * @function deleteFormat
+ * @param {Object} req - The HTTP request object.
+ * @param {string} req.params.formatId - The ID of the match format to delete.
+ * @param {Object} res - The HTTP response object.
+ * @param {Function} next - Middleware function for error handling.
+ *
+ * @example
+ * DELETE /api/v1/format/:formatId
+ *
+ * @returns {JSON} 200 - Confirmation of successful deletion.
+ */
+export const deleteFormat = async (req, res, next) => {
+    try {
+        const { formatId } = req.params;
+
+        const [tournamentInUse, matchInUse] = await Promise.all([
+            CricketTournament.exists({ format: formatId }),
+            CricketMatch.exists({ format: formatId }),
+        ]);
+        if (tournamentInUse || matchInUse) {
+            httpError(next, new Error('Match format is in use by a tournament or match'), req, 400);
+            return;
+        }
+
+        const deletedFormat = await MatchFormat.findByIdAndDelete(formatId).exec();
+        if (!deletedFormat) {
+            httpError(next, new Error(responseMessage.RESOURCE_NOT_FOUND('Match format')), req, 404);
+            return;
+        }
+
+        httpResponse(req, res, 200, responseMessage.RESOURCE_DELETED('Match format'), deletedFormat);
+    } catch (error) {
+        httpError(next, error, req, 500);
+    }
+};
@@ -1,12 +1,55 @@
 import mongoose from 'mongoose';
 
-import { CricketMatch, Innings, CricketPlayerStatus, CricketTeam, CricketTournament } from '../../../db/model/index.js';
+import { CricketMatch, Innings, CricketPlayerStatus, CricketTeam, CricketTournament, Delivery, MatchFormat } from '../../../db/model/index.js';
 
 import httpResponse from "../../../utils/httpResponse.js";
 import httpError from "../../../utils/httpError.js";
 
 import responseMessage from "../../../constant/responseMessage.js";
-import ballOutcomes from '../../../constant/ballOutcomes.js';
+
+import {
+    awardMatch,
+    awardPenaltyRuns,
+    changeBowler,
+    declareInnings,
+    getInningsSnapshot,
+    getMatchFormat,
+    getMatchStanding,
+    openInnings,
+    planInnings,
+    planSuperOver,
+    recomputeInnings,
+    recomputeMatch,
+    recordDelivery,
+    recordInterruption,
+    replaceDelivery,
+    resolveBallInput,
+    resolveDismissalInput,
+    resolvePenaltyInput,
+    resolveRetirementInput,
+    scoreBall,
+    setMatchResult,
+    undoLastDelivery,
+} from '../../services/inningsService.js';
+import { getSavedResponse, idempotencyKeyOf, saveResponse } from '../../services/idempotencyService.js';
+import { recordSubstitution, setPlayingXI } from '../../services/playingXiService.js';
+import {
+    claimScoringLease,
+    getScoringLease,
+    handOverScoringLease,
+    holdScoringLease,
+    releaseScoringLease,
+} from '../../services/scoringLeaseService.js';
+import { getMatchScorecard } from '../../services/scorecardService.js';
+import { emitBallScored, emitMatchListing, emitToMatch } from '../../../sockets/rooms.js';
+
+/**
+ * Sends the response stored for an earlier request with the same idempotency key.
+ */
+const replayResponse = (req, res, saved) => {
+    res.set('Idempotent-Replayed', 'true');
+    return httpResponse(req, res, saved.status, saved.message, saved.data);
+};
 
 /**
  * Create a new match within a tournament.
@@ -17,7 +60,7 @@ export const createMatch = async (req, res, next) => {
     session.startTransaction();
     try {
         const { tournamentId } = req.params;
-        const { startTime, location, team_Aid, team_Bid, overs } = req.body;
+        const { startTime, location, team_Aid, team_Bid, overs, format, super_over_on_tie } = req.body;
 
         // Regular expression for validating startTime (Format: "HH:MM AM/PM DD/MM/YYYY")
         const timeRegex = /^(0[1-9]|1[0-2]):[0-5][0-9] (AM|PM) (0[1-9]|[12][0-9]|3[01])\/(0[1-9]|1[0-2])\/\d{4}$/;
@@ -60,6 +103,24 @@ export const createMatch = async (req, res, next) => {
             return;
         }
 
+        // The match format, or the tournament's, supplies the overs when none are given
+        const formatId = format || tournament.format;
+        const matchFormat = formatId ? await MatchFormat.findById(formatId).session(session).exec() : null;
+        if (format && !matchFormat) {
+            httpError(next, new Error('Match format not found'), req, 404);
+            await session.abortTransaction();
+            session.endSession();
+            return;
+        }
+
+        const matchOvers = overs || (matchFormat && matchFormat.overs);
+        if (!matchOvers) {
+            httpError(next, new Error('Overs are required when the match has no format'), req, 400);
+            await session.abortTransaction();
+            session.endSession();
+            return;
+        }
+
         // Parse startTime to a standard Date object
         // Assuming the format "HH:MM AM/PM DD/MM/YYYY"
         const [time, period, day, month, year] = startTime.match(/(\d{2}:\d{2}) (AM|PM) (\d{2})\/(\d{2})\/(\d{4})/).slice(1);
@@ -80,7 +141,9 @@ export const createMatch = async (req, res, next) => {
             location,
             team_Aid: teamA._id,
             team_Bid: teamB._id,
-            overs
+            overs: matchOvers,
+            format: format || null,
+            super_over_on_tie: Boolean(super_over_on_tie),
         }], { session });
 
         // Add the match to the tournament's matches array
@@ -92,7 +155,7 @@ export const createMatch = async (req, res, next) => {
 
         const io = req.app.get('io');
         if (io) {
-            io.emit('match-created', match[0]);
+            emitMatchListing(io, match[0], 'match-created', match[0]);
         }
 
         // Send response back with the created match data
@@ -200,6 +263,13 @@ export const updateMatch = async (req, res, next) => {
             }
         }
 
+        if (updatedDetails.format && !(await MatchFormat.exists({ _id: updatedDetails.format }).session(session))) {
+            httpError(next, new Error('Match format not found'), req, 404);
+            await session.abortTransaction();
+            session.endSession();
+            return;
+        }
+
         // Update allowed fields
         Object.keys(updatedDetails).forEach(key => {
             match[key] = updatedDetails[key];
@@ -212,7 +282,7 @@ export const updateMatch = async (req, res, next) => {
 
         const io = req.app.get('io');
         if (io) {
-            io.emit('match-updated', match);
+            emitMatchListing(io, match, 'match-updated', match);
         }
 
         httpResponse(req, res, 200, responseMessage.UPDATED('Match'), match);
@@ -255,13 +325,14 @@ export const deleteMatch = async (req, res, next) => {
         // Delete related innings and status documents
         await Innings.deleteMany({ match_id: matchId }).session(session).exec();
         await CricketPlayerStatus.deleteMany({ match_id: matchId }).session(session).exec();
+        await Delivery.deleteMany({ match_id: matchId }).session(session).exec();
 
         await session.commitTransaction();
         session.endSession();
 
         const io = req.app.get('io');
         if (io) {
-            io.emit('match-deleted', { matchId });
+            emitMatchListing(io, match, 'match-deleted', { matchId });
         }
 
         httpResponse(req, res, 200, responseMessage.DELETED('Match'));
@@ -273,7 +344,8 @@ export const deleteMatch = async (req, res, next) => {
 };
 
 /**
- * Updates the status of a specific match.
+ * Updates the status of a specific match. Abandoning a match records it as a no result,
+ * while cancelling or reopening it clears its result.
  * PUT /api/admin/matches/:matchId/status
  */
 export const updateMatchStatus = async (req, res, next) => {
@@ -301,6 +373,11 @@ export const updateMatchStatus = async (req, res, next) => {
         }
 
         match.status = status;
+        if (status === 'abandoned') {
+            setMatchResult(match, { outcome: 'no_result' });
+        } else if (status !== 'completed') {
+            setMatchResult(match);
+        }
         await match.save({ session });
 
         await session.commitTransaction();
@@ -308,7 +385,7 @@ export const updateMatchStatus = async (req, res, next) => {
 
         const io = req.app.get('io');
         if (io) {
-            io.emit('match-status-updated', match);
+            emitMatchListing(io, match, 'match-status-updated', match);
         }
 
         httpResponse(req, res, 200, responseMessage.UPDATED('Match Status'), match);
@@ -320,7 +397,45 @@ export const updateMatchStatus = async (req, res, next) => {
 };
 
 /**
- * Updates the toss details of a specific match.
+ * Awards a match to one side by walkover (the other side did not turn up) or forfeit (it conceded).
+ * PUT /api/admin/matches/:matchId/result
+ */
+export const awardMatchResult = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { matchId } = req.params;
+        const { winner_id, method } = req.body;
+
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        await holdScoringLease(session, { match, user: req.user });
+        await awardMatch(session, { match, winnerId: winner_id, method });
+
+        await session.commitTransaction();
+
+        const io = req.app.get('io');
+        if (io) {
+            emitMatchListing(io, match, 'match-status-updated', match);
+        }
+
+        httpResponse(req, res, 200, responseMessage.UPDATED('Match Result'), match);
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Updates the toss details of a specific match. Retries with the same `Idempotency-Key` header get the
+ * original response.
  * PUT /api/admin/matches/:matchId/toss
  */
 export const updateTossStatus = async (req, res, next) => {
@@ -330,6 +445,16 @@ export const updateTossStatus = async (req, res, next) => {
         const { matchId } = req.params;
         const { toss_election, tossWinnerId } = req.body;
 
+        // A retry of a toss already recorded gets the original response
+        const idempotency = { key: idempotencyKeyOf(req), user: req.user, action: `toss:${matchId}` };
+        const saved = await getSavedResponse(session, idempotency);
+        if (saved) {
+            await session.abortTransaction();
+            session.endSession();
+            replayResponse(req, res, saved);
+            return;
+        }
+
         if (!toss_election || !['bat', 'bowl'].includes(toss_election)) {
             httpError(next, new Error('Toss election must be either "bat" or "bowl".'), req, 400);
             await session.abortTransaction();
@@ -345,6 +470,7 @@ export const updateTossStatus = async (req, res, next) => {
             return;
         }
 
+        await holdScoringLease(session, { match, user: req.user });
         match.toss = {
             elected_to: toss_election,
             winner: tossWinnerId,
@@ -354,12 +480,14 @@ export const updateTossStatus = async (req, res, next) => {
         match.status = 'in_progress';
         await match.save({ session });
 
+        await saveResponse(session, { ...idempotency, status: 200, message: responseMessage.UPDATED('Toss Status'), data: match });
+
         await session.commitTransaction();
         session.endSession();
 
         const io = req.app.get('io');
         if (io) {
-            io.emit('toss-updated', match);
+            emitMatchListing(io, match, 'toss-updated', match);
         }
 
         httpResponse(req, res, 200, responseMessage.UPDATED('Toss Status'), match);
@@ -371,218 +499,288 @@ export const updateTossStatus = async (req, res, next) => {
 };
 
 /**
- * Starts a new innings within a match.
- * POST /api/admin/matches/:matchId/innings
+ * Submits the playing XI of one of the teams of a match, up to the start of its first innings, with its
+ * captain, vice-captain, wicket-keeper and twelfth man. Every player named while scoring must then be in it.
+ * PUT /api/admin/matches/:matchId/playing-xi
  */
-export const startInnings = async (req, res, next) => {
+export const updatePlayingXI = async (req, res, next) => {
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
         const { matchId } = req.params;
-        const {
-            innings_number,
-            initial_bowler_id,
-            wicket_keeper_id,
-        } = req.body;
+        const { team_id, players, captain_id, vice_captain_id, wicket_keeper_id, twelfth_man_id } = req.body;
+
+        if (!team_id || !players || !captain_id || !wicket_keeper_id) {
+            httpError(next, new Error('team_id, players, captain_id and wicket_keeper_id are required'), req, 400);
+            await session.abortTransaction();
+            return;
+        }
 
-        // Fetch the match
         const match = await CricketMatch.findById(matchId).session(session).exec();
         if (!match) {
             httpError(next, new Error('Match not found'), req, 404);
             await session.abortTransaction();
-            session.endSession();
             return;
         }
 
-        let batting_team_id;
-        let bowling_team_id;
+        await holdScoringLease(session, { match, user: req.user });
+        const format = await getMatchFormat(match, session);
+        const playingXI = await setPlayingXI(session, {
+            match,
+            teamId: team_id,
+            players,
+            playersPerSide: format.players_per_side,
+            captainId: captain_id,
+            viceCaptainId: vice_captain_id,
+            wicketKeeperId: wicket_keeper_id,
+            twelfthManId: twelfth_man_id,
+        });
 
-        if (innings_number === 1) {
-            batting_team_id = match.toss.elected_to === 'bat' ? match.toss.winner : match.toss.deferring;
-            bowling_team_id = match.toss.elected_to === 'bat' ? match.toss.deferring : match.toss.winner;
-        } else {
-            batting_team_id = match.toss.elected_to === 'bat' ? match.toss.deferring : match.toss.winner;
-            bowling_team_id = match.toss.elected_to === 'bat' ? match.toss.winner : match.toss.deferring;
+        await session.commitTransaction();
+
+        const io = req.app.get('io');
+        if (io) {
+            emitToMatch(io, match._id, 'playing-xi-updated', { matchId: match._id, playingXI });
         }
 
-        // Validate required fields
-        if (!innings_number || !batting_team_id || !bowling_team_id || !initial_bowler_id) {
-            httpError(next, new Error('All required fields must be provided'), req, 400);
-            await session.abortTransaction();
-            session.endSession();
-            return;
+        httpResponse(req, res, 200, responseMessage.UPDATED('Playing XI'), playingXI);
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Retrieves the playing XI each team has submitted for a match, and the substitutes who have come on.
+ * GET /api/admin/matches/:matchId/playing-xi
+ */
+export const getPlayingXIs = async (req, res, next) => {
+    try {
+        const { matchId } = req.params;
+
+        const match = await CricketMatch.findById(matchId)
+            .select('team_Aid team_Bid playing_xi substitutions')
+            .populate('playing_xi.players playing_xi.twelfth_man substitutions.player_in substitutions.player_out', 'player_name skill')
+            .lean()
+            .exec();
+        if (!match) {
+            return httpError(next, new Error(responseMessage.NOT_FOUND('Match')), req, 404);
         }
 
-        // Ensure innings_number is either 1 or 2
-        if (![1, 2].includes(innings_number)) {
-            httpError(next, new Error('Innings number must be 1 or 2'), req, 400);
+        return httpResponse(req, res, 200, responseMessage.FETCHED('Playing XI'), {
+            playingXI: match.playing_xi,
+            substitutions: match.substitutions,
+        });
+    } catch (error) {
+        return httpError(next, error, req, 500);
+    }
+};
+
+/**
+ * Brings a substitute on for a player of a team's playing XI during a match: a substitute fielder
+ * (`type: fielding`), who can take catches but not bat or bowl, or a like-for-like replacement
+ * (`type: replacement`), e.g. for concussion, who bats and bowls in place of the player replaced.
+ * POST /api/admin/matches/:matchId/substitutions
+ */
+export const substitutePlayer = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { matchId } = req.params;
+        const { team_id, player_in_id, player_out_id, type, reason } = req.body;
+
+        if (!team_id || !player_in_id || !player_out_id || !type) {
+            httpError(next, new Error('team_id, player_in_id, player_out_id and type are required'), req, 400);
             await session.abortTransaction();
-            session.endSession();
             return;
         }
 
-        // Check if innings_number already exists
-        const existingInnings = await Innings.findOne({ match_id: matchId, innings_number }).session(session).exec();
-        if (existingInnings) {
-            httpError(next, new Error(`Innings ${innings_number} already exists for this match`), req, 400);
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
             await session.abortTransaction();
-            session.endSession();
             return;
         }
 
-        // Fetch batting and bowling teams
-        const [battingTeam, bowlingTeam] = await Promise.all([
-            CricketTeam.findById(batting_team_id).populate('players').session(session).exec(),
-            CricketTeam.findById(bowling_team_id).populate('players').session(session).exec(),
-        ]);
+        await holdScoringLease(session, { match, user: req.user });
+        const substitution = await recordSubstitution(session, {
+            match,
+            teamId: team_id,
+            playerInId: player_in_id,
+            playerOutId: player_out_id,
+            type,
+            reason,
+        });
 
-        if (!battingTeam || !bowlingTeam) {
-            httpError(next, new Error('Batting or Bowling team not found'), req, 404);
-            await session.abortTransaction();
-            session.endSession();
-            return;
+        await session.commitTransaction();
+
+        const io = req.app.get('io');
+        if (io) {
+            emitToMatch(io, match._id, 'substitution-made', { matchId: match._id, substitution });
         }
 
-        // Check if the initial bowler is part of the bowling team
-        const isInitialBowlerValid = bowlingTeam.players.find(
-            player => {
-                player._id === initial_bowler_id
-                return player
-            }
-        );
+        httpResponse(req, res, 201, responseMessage.RESOURCE_CREATED('Substitution'), substitution);
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
 
-        if (!isInitialBowlerValid) {
-            httpError(next, new Error('Initial bowler is not part of the bowling team'), req, 400);
-            await session.abortTransaction();
-            session.endSession();
-            return;
+/**
+ * Retrieves who is scoring a match, so other admins know to stay read-only.
+ * GET /api/admin/matches/:matchId/scorer
+ */
+export const getScorer = async (req, res, next) => {
+    try {
+        const { matchId } = req.params;
+
+        const match = await CricketMatch.findById(matchId).select('scorer').exec();
+        if (!match) {
+            return httpError(next, new Error(responseMessage.NOT_FOUND('Match')), req, 404);
         }
 
-        // Find the wicket-keeper from the bowling team
-        const wicketKeeper = bowlingTeam.players.find(player => {
-            player._id === wicket_keeper_id && player.role.includes('wicket_keeper');
-            return player
+        return httpResponse(req, res, 200, responseMessage.FETCHED('Scorer'), {
+            matchId: match._id,
+            scorer: getScoringLease(match),
         });
+    } catch (error) {
+        return httpError(next, error, req, 500);
+    }
+};
+
+/**
+ * Changes who scores a match: `POST` claims the scoring lease for the admin making the request, `PUT`
+ * lets a super_admin hand it to the admin named by `username` in the body (or themselves), and `DELETE`
+ * releases it. While an admin holds the lease, scoring changes from anyone else, from the toss and each
+ * ball to interruptions and the result, are rejected with 409.
+ * POST|PUT|DELETE /api/admin/matches/:matchId/scorer
+ */
+export const updateScorer = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { matchId } = req.params;
 
-        if (!wicketKeeper) {
-            httpError(next, new Error('Wicket-keeper not found in bowling team'), req, 400);
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
             await session.abortTransaction();
-            session.endSession();
             return;
         }
 
-        // Assume current_batsmen is only striker and non-striker
-        const current_batsmen = req.body.batting_order;
-        if (!current_batsmen || !Array.isArray(current_batsmen) || current_batsmen.length !== 2) {
-            httpError(next, new Error('Batting order must include exactly two players: striker and non-striker'), req, 400);
+        let scorer = null;
+        if (req.method === 'POST') {
+            scorer = await claimScoringLease(session, { match, user: req.user });
+        } else if (req.method === 'PUT') {
+            scorer = await handOverScoringLease(session, { match, user: req.user, username: req.body.username });
+        } else {
+            await releaseScoringLease(session, { match, user: req.user });
+        }
+
+        await session.commitTransaction();
+
+        const io = req.app.get('io');
+        if (io) {
+            emitToMatch(io, match._id, 'scorer-changed', { matchId: match._id, scorer });
+        }
+
+        httpResponse(req, res, 200, responseMessage.UPDATED('Scorer'), { matchId: match._id, scorer });
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Starts a new innings within a match. The openers, bowler and wicket-keeper must be playing for their
+ * side; the wicket-keeper defaults to the one named in the playing XI. In a two-innings match,
+ * `enforce_follow_on` makes the side batting second bat again in the third innings. Retries with the
+ * same `Idempotency-Key` header get the original response.
+ * POST /api/admin/matches/:matchId/innings
+ */
+export const startInnings = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { matchId } = req.params;
+        const {
+            innings_number,
+            batting_order,
+            initial_bowler_id,
+            wicket_keeper_id,
+            enforce_follow_on = false,
+        } = req.body;
+
+        // A retry of an innings already started gets the original response
+        const idempotency = { key: idempotencyKeyOf(req), user: req.user, action: `innings:${matchId}` };
+        const saved = await getSavedResponse(session, idempotency);
+        if (saved) {
             await session.abortTransaction();
-            session.endSession();
+            replayResponse(req, res, saved);
             return;
         }
 
-        const invalidBatsmen = current_batsmen.filter(playerId => !battingTeam.players.includes(player => player._id === playerId));
-        if (invalidBatsmen.length > 0) {
-            httpError(next, new Error(`Players ${invalidBatsmen.join(', ')} are not part of the batting team`), req, 400);
+        // Fetch the match
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
             await session.abortTransaction();
-            session.endSession();
             return;
         }
 
-        // Create Status documents for striker and non-striker
-        const [strikerStatus, nonStrikerStatus] = await Promise.all([
-            CricketPlayerStatus.create([{
-                player_id: current_batsmen[0],
-                match_id: matchId,
-                innings_number: innings_number,
-                batting: {
-                    stricking_role: 1, // 1 for striker
-                }
-            }], { session }),
-            CricketPlayerStatus.create([{
-                player_id: current_batsmen[1],
-                match_id: matchId,
-                innings_number: innings_number,
-                batting: {
-                    stricking_role: 2, // 2 for non-striker
-                }
-            }], { session }),
-        ]);
+        // Validate required fields
+        if (!innings_number || !initial_bowler_id) {
+            httpError(next, new Error('All required fields must be provided'), req, 400);
+            await session.abortTransaction();
+            return;
+        }
 
-        // Create Status document for wicket-keeper
-        const wicketKeeperStatus = await CricketPlayerStatus.create([{
-            player_id: wicketKeeper._id,
-            match_id: matchId,
-            innings_number: innings_number,
-        }], { session });
+        await holdScoringLease(session, { match, user: req.user });
 
-        // Create Status document for initial bowler
-        const initialBowlerStatus = await CricketPlayerStatus.create([{
-            player_id: initial_bowler_id,
-            match_id: matchId,
-            innings_number: innings_number,
-        }], { session });
+        // Work out the batting side from the toss, the innings played so far and any follow-on
+        const {
+            battingTeamId: batting_team_id,
+            bowlingTeamId: bowling_team_id,
+            isFollowOn,
+        } = await planInnings(match, innings_number, { enforceFollowOn: enforce_follow_on }, session);
 
-        // Create the innings
-        const innings = await Innings.create([{
-            match_id: matchId,
-            innings_number,
-            batting_team_id: batting_team_id,
-            bowling_team_id: bowling_team_id,
-            batting_order: [],
-            current_batsmen: [...current_batsmen],
-            wicket_keeper: wicketKeeper._id,
-            current_bowler: initial_bowler_id,
-            score: {
-                runs: 0,
-                wickets: 0,
-                overs: 0,
-                balls: 0,
-                extras: {
-                    wides: 0,
-                    noBalls: 0,
-                    byes: 0,
-                    legByes: 0,
-                    penalty_runs: 0,
-                    total: 0,
-                },
-                isDeclared: false,
-                isFollowOn: false,
-            },
-            commentary: [],
-            status: 'ongoing',
-        }], { session });
+        const { innings, statuses } = await openInnings(session, {
+            match,
+            inningsNumber: innings_number,
+            battingTeamId: batting_team_id,
+            bowlingTeamId: bowling_team_id,
+            batsmen: batting_order,
+            bowlerId: initial_bowler_id,
+            wicketKeeperId: wicket_keeper_id,
+            isFollowOn,
+        });
 
-        const inningsDoc = innings[0];
+        await saveResponse(session, { ...idempotency, status: 201, message: responseMessage.RESOURCE_CREATED('Innings'), data: innings });
 
-        // Add the innings to the match's innings array
-        match.innings.push(inningsDoc._id);
-        match.status = 'in_progress';
-        await match.save({ session });
+        await session.commitTransaction();
 
         const io = req.app.get('io');
         if (io) {
-            io.emit('innings-started',
-                inningsDoc,
-                strikerStatus[0],
-                nonStrikerStatus[0],
-                wicketKeeperStatus[0],
-                initialBowlerStatus[0]
-            );
+            emitToMatch(io, match._id, 'innings-started', innings, ...statuses);
         }
 
-        await session.commitTransaction();
-        session.endSession();
-
-        httpResponse(req, res, 201, responseMessage.RESOURCE_CREATED('Innings'), inningsDoc);
+        httpResponse(req, res, 201, responseMessage.RESOURCE_CREATED('Innings'), innings);
     } catch (error) {
+        await session.abortTransaction();
         httpError(next, error, req, 500);
-        await session.commitTransaction();
+    } finally {
         session.endSession();
     }
 };
 
 /**
- * Retrieves all innings of a specific match.
+ * Retrieves all innings of a specific match, each with its partnerships and fall of wickets.
  * GET /api/admin/matches/:matchId/innings
  */
 export const getMatchInnings = async (req, res, next) => {
@@ -630,11 +828,14 @@ export const getMatchInnings = async (req, res, next) => {
             )
         );
 
+        const standing = await getMatchStanding(match, session);
+
         await session.commitTransaction();
         session.endSession();
 
         return httpResponse(req, res, 200, responseMessage.FETCHED('Innings'), {
             match,
+            standing,
             battingPlayersStatus,
             bowlingPlayersStatus,
             battingTeam,
@@ -648,586 +849,582 @@ export const getMatchInnings = async (req, res, next) => {
 };
 
 /**
- * Updates an innings based on the outcome of a ball.
- * PATCH /api/admin/matches/:matchId/innings/:inningsId/ball
+ * Starts the next super over innings of a tied match, with its own batsmen, bowler and wicket-keeper.
+ * Super overs are repeated until one side wins.
+ * POST /api/admin/matches/:matchId/super-over
  */
-export const updateInnings = async (req, res, next) => {
+export const startSuperOver = async (req, res, next) => {
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
-        const { inningsId, matchId } = req.params;
-        const {
-            outcome,
-            bowler_id,
-            fielder_id,
-            dismissal_type,
-            next_batsman_id,
-            next_batsman_strike_role,
-            customOutcome = null,
-            wicket_keeper_id //TODO update wc if sent
-        } = req.body;
-
-        // Validate required fields
-        if (outcome === 'wicket' && !next_batsman_id) {
-            httpError(next, new Error('Next batsman ID and strike role must be provided when a wicket falls'), req, 400);
-            await session.abortTransaction();
-            session.endSession();
-            return;
-        }
-
-        // Validate dismissal_type
-        if (dismissal_type) {
-            const validTypes = ['caught', 'stumped', 'run_out', 'lbw', 'hit_wicket', 'other'];
-            if (!validTypes.includes(dismissal_type)) {
-                httpError(next, new Error(`Invalid dismissal_type: ${dismissal_type}`), req, 400);
-                await session.abortTransaction();
-                session.endSession();
-                return;
-            }
-        }
+        const { matchId } = req.params;
+        const { batting_order, initial_bowler_id, wicket_keeper_id } = req.body;
 
-        if (next_batsman_strike_role && ![1, 2].includes(next_batsman_strike_role)) {
-            httpError(next, new Error('Next batsman strike role must be 1 (striker) or 2 (non-striker)'), req, 400);
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
             await session.abortTransaction();
-            session.endSession();
             return;
         }
 
-        if (!outcome || (customOutcome && typeof customOutcome !== object)) {
-            httpError(next, new Error('Outcome is required and must be a string.'), req, 400);
-            await session.abortTransaction();
-            session.endSession();
-            return;
-        }
+        await holdScoringLease(session, { match, user: req.user });
+        const { superOver, inningsNumber, battingTeamId, bowlingTeamId } = await planSuperOver(match, session);
+        const { innings, statuses } = await openInnings(session, {
+            match,
+            inningsNumber,
+            superOver,
+            battingTeamId,
+            bowlingTeamId,
+            batsmen: batting_order,
+            bowlerId: initial_bowler_id,
+            wicketKeeperId: wicket_keeper_id,
+        });
 
-        const ballOutcome = customOutcome || ballOutcomes[outcome];
+        await session.commitTransaction();
 
-        if (!ballOutcome) {
-            httpError(next, new Error('Invalid or undefined outcome value.'), req, 400);
-            await session.abortTransaction();
-            session.endSession();
-            return;
+        const io = req.app.get('io');
+        if (io) {
+            emitToMatch(io, match._id, 'innings-started', innings, ...statuses);
         }
 
-        // Fetch innings document with required references
-        const innings = await Innings.findById(inningsId)
-            .session(session)
-            .exec();
+        httpResponse(req, res, 201, responseMessage.RESOURCE_CREATED('Super over'), innings);
 
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Records an interruption to play, e.g. for rain, and revises the overs, target and par score for the
+ * overs lost. With `play_resumes: false` the match is decided on the par score, or abandoned when too
+ * little of the chase was possible.
+ * POST /api/admin/matches/:matchId/interruption
+ */
+export const interruptMatch = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { matchId } = req.params;
+        const { overs_lost, play_resumes = true, reason } = req.body;
+
+        if (typeof play_resumes !== 'boolean') {
+            httpError(next, new Error('play_resumes must be true or false'), req, 400);
+            await session.abortTransaction();
+            return;
+        }
+
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        await holdScoringLease(session, { match, user: req.user });
+        const { interruption, innings } = await recordInterruption(session, {
+            match,
+            oversLost: overs_lost,
+            resumed: play_resumes,
+            reason,
+        });
+        const snapshot = innings ? await getInningsSnapshot(innings, session, match) : null;
+
+        await session.commitTransaction();
+
+        const io = req.app.get('io');
+        if (io) {
+            emitMatchListing(io, match, 'match-interrupted', { matchId, interruption, match });
+            if (snapshot) {
+                emitToMatch(io, innings.match_id, 'innings-updated', snapshot);
+            }
+        }
+
+        httpResponse(req, res, 200, responseMessage.UPDATED('Match'), { match, interruption, innings: snapshot });
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Updates an innings based on the outcome of a ball. A retry with the same `Idempotency-Key` header,
+ * or `client_delivery_id` in the body, gets the original response instead of recording the ball twice.
+ * PATCH /api/admin/matches/:matchId/innings/:inningsId/ball
+ */
+export const updateInnings = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { inningsId, matchId } = req.params;
+
+        // A retry of a ball already recorded gets the original response instead of recording it again
+        const idempotency = { key: idempotencyKeyOf(req), user: req.user, action: `ball:${inningsId}` };
+        const saved = await getSavedResponse(session, idempotency);
+        if (saved) {
+            await session.abortTransaction();
+            replayResponse(req, res, saved);
+            return;
+        }
+
+        const { match, innings, delivery, completedOver, snapshot, nextBatsmanStatus } = await scoreBall(session, {
+            matchId,
+            inningsId,
+            body: req.body,
+            user: req.user,
+        });
+        const data = { ...snapshot, delivery, nextBatsmanStatus };
+
+        await saveResponse(session, { ...idempotency, status: 200, message: responseMessage.UPDATED('Innings'), data });
+
+        // Commit the transaction
+        await session.commitTransaction();
+
+        const io = req.app.get('io');
+        if (io) {
+            emitBallScored(io, { match, innings, snapshot, delivery, completedOver });
+        }
+
+        // Respond with the updated innings
+        httpResponse(req, res, 200, responseMessage.UPDATED('Innings'), data);
+
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Records a dismissal that happens between deliveries (retired out, timed out) and brings in the next batsman.
+ * POST /api/admin/matches/:matchId/innings/:inningsId/dismissal
+ */
+export const recordDismissal = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { inningsId, matchId } = req.params;
+
+        const input = resolveDismissalInput(req.body);
+
+        const innings = await Innings.findOne({ _id: inningsId, match_id: matchId }).session(session).exec();
         if (!innings) {
             httpError(next, new Error('Innings not found'), req, 404);
             await session.abortTransaction();
-            session.endSession();
             return;
         }
 
         if (innings.status === 'completed') {
             httpError(next, new Error('Cannot update a completed innings'), req, 400);
             await session.abortTransaction();
-            session.endSession();
             return;
         }
 
-        // Fetch the match
         const match = await CricketMatch.findById(matchId).session(session).exec();
         if (!match) {
             httpError(next, new Error('Match not found'), req, 404);
             await session.abortTransaction();
-            session.endSession();
             return;
         }
 
-        // Initialize score if undefined
-        if (!innings.score) {
-            innings.score = {
-                runs: 0,
-                wickets: 0,
-                overs: 0,
-                balls: 0,
-                extras: {
-                    wides: 0,
-                    noBalls: 0,
-                    byes: 0,
-                    legByes: 0,
-                    penalty_runs: 0,
-                    total: 0,
-                },
-                isDeclared: false,
-                isFollowOn: false,
-            };
-        }
-
-        // Update innings score
-        innings.score.runs += ballOutcome.runs + (ballOutcome.extras || 0);
-        innings.score.extras.total += ballOutcome.extras || 0;
-
-        // Update specific extras based on outcome
-        switch (outcome || customOutcome.type) {
-            case 'wide':
-                innings.score.extras.wides += ballOutcome.extras;
-                break;
-            case 'noball':
-                innings.score.extras.noBalls += ballOutcome.extras;
-                break;
-            case 'bye':
-                innings.score.extras.byes += ballOutcome.extras;
-                break;
-            case 'leg_bye':
-                innings.score.extras.legByes += ballOutcome.extras;
-                break;
-        }
-
-        // Generate commentary based on outcome
-        let description = '';
-
-        if (ballOutcome.description) {
-            description += ballOutcome.description;
-        } else {
-            switch (outcome) {
-                case 'run':
-                    description += `${strikerStatus.player_id.name} scored ${ballOutcome.runs} run(s).`;
-                    break;
-                case 'four':
-                    description += `${strikerStatus.player_id.name} hit a four!`;
-                    break;
-                case 'six':
-                    description += `${strikerStatus.player_id.name} hit a six!`;
-                    break;
-                case 'wide':
-                    description += `Wide ball bowled by ${bowlerStatus.player_id.name}.`;
-                    break;
-                case 'noball':
-                    description += `No ball bowled by ${bowlerStatus.player_id.name}.`;
-                    break;
-                case 'wicket':
-                    description += `${strikerStatus.player_id.name} is out (${dismissal_type}) bowled by ${bowlerStatus.player_id.name}.`;
-                    break;
-                default:
-                    description += `Ball outcome: ${outcome}.`;
+        await holdScoringLease(session, { match, user: req.user });
+        const { delivery } = await recordDelivery(session, { match, innings, input });
+        const snapshot = await getInningsSnapshot(innings, session, match);
+
+        await session.commitTransaction();
+
+        const io = req.app.get('io');
+        if (io) {
+            emitToMatch(io, innings.match_id, 'innings-updated', { ...snapshot, delivery });
+            if (match.status === 'completed') {
+                emitMatchListing(io, match, 'match-status-updated', match);
             }
         }
-        innings.commentary.push({
-            over: Math.floor(innings.score.balls / 6) + 1,
-            ball: innings.score.balls % 6 || 6,
-            description,
-            timestamp: new Date(),
-        });
 
-        // Update balls and overs if ball counts
-        if (ballOutcome.ball_counts) {
-            innings.score.balls += 1;
-            innings.score.overs = Math.floor(innings.score.balls / 6) + ((innings.score.balls % 6) / 10);
-        }
-
-        // Prepare bulk operations for Status updates
-        let bulkOps = [];
-
-        // Update bowler's stats
-        const bowlerId = bowler_id || innings.current_bowler;
-
-        const bowlerStatus = await CricketPlayerStatus.findOne({
-            player_id: bowlerId,
-            match_id: matchId,
-            innings_number: innings.innings_number,
-        }).session(session).exec();
-
-        if (!bowlerStatus) {
-            const newBowlerStatus = await CricketPlayerStatus.create([{
-                player_id: bowlerId,
-                match_id: matchId,
-                innings_number: innings.innings_number,
-                bowling: {
-                    runs_conceded: ballOutcome.runs + (ballOutcome.extras || 0),
-                    overs_bowled: ballOutcome.ball_counts ? 1 / 6 : 0,
-                    wickets: ballOutcome.is_wicket ? 1 : 0,
-                    wides: outcome === 'wide' ? 1 : 0,
-                    no_balls: outcome === 'noball' ? 1 : 0,
-                    extras_conceded: ballOutcome.extras || 0,
-                }
-            }], { session });
-
-            innings.current_bowler = newBowlerStatus[0].player_id;
-        } else {
-            const bowlerUpdates = {
-                'bowling.runs_conceded': ballOutcome.runs + (ballOutcome.extras || 0),
-                'bowling.overs_bowled': ballOutcome.ball_counts ? 1 / 6 : 0,
-                'bowling.wickets': ballOutcome.is_wicket ? 1 : 0,
-                'bowling.wides': outcome === 'wide' ? 1 : 0,
-                'bowling.no_balls': outcome === 'noball' ? 1 : 0,
-                'bowling.extras_conceded': ballOutcome.extras || 0,
-            };
-
-            bulkOps.push({
-                updateOne: {
-                    filter: { _id: bowlerStatus._id },
-                    update: { $inc: bowlerUpdates },
-                },
-            });
-        }
-
-        const batsmenStatuses = await CricketPlayerStatus.find({
-            player_id: { $in: innings.current_batsmen },
-            match_id: matchId,
-            innings_number: innings.innings_number,
-        }).session(session);
-
-        // Check if the striker and non-striker statuses exist
-        const strikerStatus = batsmenStatuses.find(
-            (batsman) => batsman.batting.stricking_role === 1
-        );
+        httpResponse(req, res, 200, responseMessage.UPDATED('Innings'), { ...snapshot, delivery });
 
-        const nonStrikerStatus = batsmenStatuses.find(
-            (batsman) => batsman.batting.stricking_role === 2
-        );
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Retires a batsman hurt or not out and brings in the next batsman. The retired batsman keeps their
+ * figures and can resume later as the next batsman after a wicket or another retirement.
+ * POST /api/admin/matches/:matchId/innings/:inningsId/retire
+ */
+export const retireBatsman = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { inningsId, matchId } = req.params;
 
-        // Handle case where striker or non-striker is not found
-        if (!strikerStatus || !nonStrikerStatus) {
-            const missingPlayers = [];
+        const input = resolveRetirementInput(req.body);
 
-            if (!strikerStatus) missingPlayers.push("Striker");
-            if (!nonStrikerStatus) missingPlayers.push("Non-striker");
+        const innings = await Innings.findOne({ _id: inningsId, match_id: matchId }).session(session).exec();
+        if (!innings) {
+            httpError(next, new Error('Innings not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
 
-            httpError(next, new Error(`${missingPlayers.join(" and ")} not found`), req, 400);
+        if (innings.status === 'completed') {
+            httpError(next, new Error('Cannot update a completed innings'), req, 400);
             await session.abortTransaction();
-            session.endSession();
             return;
         }
 
-        // Update striker's stats
-        const strikerUpdates = {
-            'batting.runs': ballOutcome.runs,
-            'batting.balls_faced': ballOutcome.ball_counts ? 1 : 0,
-        };
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        await holdScoringLease(session, { match, user: req.user });
+        const { delivery } = await recordDelivery(session, { match, innings, input });
+        const snapshot = await getInningsSnapshot(innings, session, match);
 
-        if (ballOutcome.runs === 4) {
-            strikerUpdates['batting.fours'] = 1;
+        await session.commitTransaction();
+
+        const io = req.app.get('io');
+        if (io) {
+            emitToMatch(io, innings.match_id, 'innings-updated', { ...snapshot, delivery });
         }
-        if (ballOutcome.runs === 6) {
-            strikerUpdates['batting.sixes'] = 1;
+
+        httpResponse(req, res, 200, responseMessage.UPDATED('Innings'), { ...snapshot, delivery });
+
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Awards penalty runs to the batting or fielding side, e.g. for the ball hitting a fielding helmet,
+ * time wasting or damaging the pitch. The runs are recorded in the delivery log of the innings in progress.
+ * POST /api/admin/matches/:matchId/innings/:inningsId/penalty
+ */
+export const awardPenalty = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { inningsId, matchId } = req.params;
+
+        const input = resolvePenaltyInput(req.body);
+
+        const innings = await Innings.findOne({ _id: inningsId, match_id: matchId }).session(session).exec();
+        if (!innings) {
+            httpError(next, new Error('Innings not found'), req, 404);
+            await session.abortTransaction();
+            return;
         }
 
-        // Update the striker status
-        bulkOps.push({
-            updateOne: {
-                filter: { _id: strikerStatus._id },
-                update: { $inc: strikerUpdates },
-            },
-        });
-        let fielderStatus;
-        let nextBatsmanStatus;
-
-        // Handle wicket
-        if (ballOutcome.is_wicket) {
-            innings.score.wickets += 1;
-
-            // Update striker's out details
-            bulkOps.push({
-                updateOne: {
-                    filter: { _id: strikerStatus._id },
-                    update: {
-                        $set: {
-                            'batting.out_type': dismissal_type || 'Out',
-                            'batting.bowler_when_out': bowler_id || null,
-                            'batting.stricking_role': 0, // Indicate out
-                        },
-                    },
-                },
-            });
-
-            // Update fielder's stats if applicable
-            if (fielder_id && dismissal_type) {
-                // Check if fielderStatus exists
-                fielderStatus = await CricketPlayerStatus.findOne({
-                    player_id: fielder_id,
-                    match_id: matchId,
-                    innings_number: innings.innings_number,
-                }).session(session).exec();
-
-                if (!fielderStatus) {
-                    // Create a new status for the fielder
-                    const newFielderStatus = new Status({
-                        player_id: fielder_id,
-                        match_id: matchId,
-                        innings_number: innings.innings_number,
-                        fielding: {
-                            catches: dismissal_type === 'caught' ? 1 : 0,
-                            stumpings: dismissal_type === 'stumped' ? 1 : 0,
-                        },
-                    });
-                    await newFielderStatus.save({ session });
-                } else {
-                    const fielderUpdates = {};
-                    if (dismissal_type === 'caught') {
-                        fielderUpdates['fielding.catches'] = 1;
-                    } else if (dismissal_type === 'stumped') {
-                        fielderUpdates['fielding.stumpings'] = 1;
-                    }
-
-                    if (Object.keys(fielderUpdates).length > 0) {
-                        bulkOps = bulkOps || [];
-                        bulkOps.push({
-                            updateOne: {
-                                filter: { _id: fielderStatus._id },
-                                update: { $inc: fielderUpdates },
-                            },
-                        });
-                    }
-                }
-            }
+        if (innings.status === 'completed') {
+            httpError(next, new Error('Cannot update a completed innings'), req, 400);
+            await session.abortTransaction();
+            return;
+        }
 
-            // Remove striker from current_batsmen
-            innings.current_batsmen = innings.current_batsmen.filter(
-                (batsmanId) => batsmanId !== strikerStatus.player_id
-            );
-
-            // Add next batsman
-            if (next_batsman_id) {
-                if (!nextBatsmanStatus) {
-                    nextBatsmanStatus = await CricketPlayerStatus.create([{
-                        player_id: next_batsman_id,
-                        match_id: matchId,
-                        innings_number: innings.innings_number,
-                        batting: {
-                            stricking_role: next_batsman_strike_role || strikerStatus.batting.stricking_role,
-                        }
-                    }], { session });
-                }
-
-                // Add the next batsman to current_batsmen
-                innings.current_batsmen.push(next_batsman_id);
-                innings.batting_order.push(strikerStatus.player_id);
-
-                if (nonStrikerStatus) {
-                    const desiredRole = next_batsman_strike_role || strikerStatus.batting.stricking_role === 1 ? 2 : 1;
-                    if (nonStrikerStatus.batting.stricking_role !== desiredRole) {
-                        bulkOps.push({
-                            updateOne: {
-                                filter: { _id: nonStrikerStatus._id },
-                                update: { 'batting.stricking_role': desiredRole },
-                            },
-                        });
-                    }
-                }
-            } else {
-                httpError(next, new Error('Next batsman ID must be provided when a wicket falls'), req, 400);
-                await session.abortTransaction();
-                session.endSession();
-                return;
-            }
-        } else {
-            // Handle strike rotation based on runs
-            if (ballOutcome.ball_counts && ballOutcome.runs % 2 !== 0) {
-                // Swap roles if odd runs (strike change)
-                const temp = strikerStatus.batting.stricking_role;
-                strikerStatus.batting.stricking_role = nonStrikerStatus.batting.stricking_role;
-                nonStrikerStatus.batting.stricking_role = temp;
-
-                bulkOps.push({
-                    updateOne: {
-                        filter: { _id: strikerStatus._id },
-                        update: { 'batting.stricking_role': strikerStatus.batting.stricking_role },
-                    },
-                });
-
-                bulkOps.push({
-                    updateOne: {
-                        filter: { _id: nonStrikerStatus._id },
-                        update: { 'batting.stricking_role': nonStrikerStatus.batting.stricking_role },
-                    },
-                });
-            }
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        await holdScoringLease(session, { match, user: req.user });
+        const { delivery } = await awardPenaltyRuns(session, { match, innings, input });
+        const snapshot = await getInningsSnapshot(innings, session, match);
+
+        await session.commitTransaction();
 
-            // Handle strike rotation at the end of the over
-            if (ballOutcome.ball_counts && innings.score.balls % 6 === 0) {
-                const temp = strikerStatus.batting.stricking_role;
-                strikerStatus.batting.stricking_role = nonStrikerStatus.batting.stricking_role;
-                nonStrikerStatus.batting.stricking_role = temp;
-                bulkOps.push({
-                    updateOne: {
-                        filter: { _id: strikerStatus._id },
-                        update: { 'batting.stricking_role': strikerStatus.batting.stricking_role },
-                    },
-                });
-
-                bulkOps.push({
-                    updateOne: {
-                        filter: { _id: nonStrikerStatus._id },
-                        update: { 'batting.stricking_role': nonStrikerStatus.batting.stricking_role },
-                    },
-                });
+        const io = req.app.get('io');
+        if (io) {
+            emitToMatch(io, innings.match_id, 'innings-updated', { ...snapshot, delivery });
+            if (match.status === 'completed') {
+                emitMatchListing(io, match, 'match-status-updated', match);
             }
         }
 
-        // Check for match completion conditions
-        if (ballOutcome.ball_counts) {
-            const totalBalls = innings.score.balls;
-            const maxBalls = match.overs * 6;
-
-            // If overs are completed
-            if (totalBalls >= maxBalls) {
-                innings.status = 'completed';
-                innings.endTime = new Date();
-
-                if (innings.innings_number === 1) {
-                    match.target_runs = innings.score.runs + 1;
-                    await match.save({ session });
-
-                    innings.commentary.push({
-                        over: Math.floor(totalBalls / 6) + 1,
-                        ball: totalBalls % 6 || 6,
-                        description: `Innings 1 completed. Target for Innings 2 is ${match.target_runs} runs.`,
-                        timestamp: new Date(),
-                    });
-                } else if (innings.innings_number === 2) {
-                    if (innings.score.runs > match.target_runs) {
-                        match.winner = match.batting_team_id;
-                    } else if (innings.score.runs < match.target_runs) {
-                        match.winner = match.bowling_team_id;
-                    } else {
-                        match.winner = 'Tie';
-                    }
-
-                    match.status = 'completed';
-                    match.endTime = new Date();
-
-                    await match.save({ session });
-
-                    if (match.winner === 'Tie') {
-                        innings.commentary.push({
-                            over: Math.floor(totalBalls / 6) + 1,
-                            ball: totalBalls % 6 || 6,
-                            description: `The match is tied! Both teams have scored ${innings.score.runs} runs.`,
-                            timestamp: new Date(),
-                        });
-                    } else {
-                        innings.commentary.push({
-                            over: Math.floor(totalBalls / 6) + 1,
-                            ball: totalBalls % 6 || 6,
-                            description: `${match.winner} wins the match!`,
-                            timestamp: new Date(),
-                        });
-                    }
-                }
-            }
+        httpResponse(req, res, 200, responseMessage.UPDATED('Innings'), { ...snapshot, delivery });
 
-            // If all wickets have fallen
-            if (innings.score.wickets >= 10) {
-                innings.status = 'completed';
-                innings.endTime = new Date();
-
-                if (innings.innings_number === 1) {
-                    match.target_runs = innings.score.runs + 1;
-                    await match.save({ session });
-
-                    innings.commentary.push({
-                        over: Math.floor(totalBalls / 6) + 1,
-                        ball: totalBalls % 6 || 6,
-                        description: `Innings 1 completed. Target for Innings 2 is ${match.target_runs} runs.`,
-                        timestamp: new Date(),
-                    });
-                } else if (innings.innings_number === 2) {
-                    if (innings.score.runs > match.target_runs) {
-                        match.winner = match.batting_team_id;
-                    } else if (innings.score.runs < match.target_runs) {
-                        match.winner = match.bowling_team_id;
-                    } else {
-                        match.winner = 'Tie';
-                    }
-
-                    match.status = 'completed';
-                    match.endTime = new Date();
-
-                    await match.save({ session });
-
-                    if (match.winner === 'Tie') {
-                        innings.commentary.push({
-                            over: Math.floor(totalBalls / 6) + 1,
-                            ball: totalBalls % 6 || 6,
-                            description: `The match is tied! Both teams have scored ${innings.score.runs} runs.`,
-                            timestamp: new Date(),
-                        });
-                    } else {
-                        innings.commentary.push({
-                            over: Math.floor(totalBalls / 6) + 1,
-                            ball: totalBalls % 6 || 6,
-                            description: `${match.winner} wins the match!`,
-                            timestamp: new Date(),
-                        });
-                    }
-                }
-            }
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
 
-            // If target is achieved before overs or wickets are up
-            if (innings.innings_number === 2 && match.target_runs) {
-                if (innings.score.runs >= match.target_runs) {
-                    innings.status = 'completed';
-                    match.winner = match.batting_team_id;
-
-                    innings.endTime = new Date();
-                    match.status = 'completed';
-                    match.endTime = new Date();
-
-                    await match.save({ session });
-
-                    innings.commentary.push({
-                        over: Math.floor(totalBalls / 6) + 1,
-                        ball: totalBalls % 6 || 6,
-                        description: `${match.batting_team_id} has reached the target and wins the match!`,
-                        timestamp: new Date(),
-                    });
-                }
-            }
+/**
+ * Selects the bowler for the next delivery of an innings. Required after every completed over;
+ * mid-over it replaces a bowler who cannot finish the over.
+ * PUT /api/admin/matches/:matchId/innings/:inningsId/bowler
+ */
+export const selectBowler = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { inningsId, matchId } = req.params;
+        const { bowler_id } = req.body;
+
+        if (!bowler_id) {
+            httpError(next, new Error('Bowler ID is required'), req, 400);
+            await session.abortTransaction();
+            return;
         }
 
-        // Perform all bulk operations in a single bulkWrite
-        if (bulkOps.length > 0) {
-            await CricketPlayerStatus.bulkWrite(bulkOps, { session });
+        const innings = await Innings.findOne({ _id: inningsId, match_id: matchId }).session(session).exec();
+        if (!innings) {
+            httpError(next, new Error('Innings not found'), req, 404);
+            await session.abortTransaction();
+            return;
         }
 
-        // Save the updated innings
-        await innings.save({ session });
+        if (innings.status === 'completed') {
+            httpError(next, new Error('Cannot update a completed innings'), req, 400);
+            await session.abortTransaction();
+            return;
+        }
+
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        await holdScoringLease(session, { match, user: req.user });
+        await changeBowler(session, { match, innings, bowlerId: bowler_id });
+        const snapshot = await getInningsSnapshot(innings, session, match);
+
+        await session.commitTransaction();
+
+        const io = req.app.get('io');
+        if (io) {
+            emitToMatch(io, innings.match_id, 'innings-updated', snapshot);
+        }
+
+        httpResponse(req, res, 200, responseMessage.UPDATED('Bowler'), snapshot);
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Declares an innings of a two-innings match closed at its current score.
+ * POST /api/admin/matches/:matchId/innings/:inningsId/declare
+ */
+export const declareInningsClosed = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { inningsId, matchId } = req.params;
+
+        const innings = await Innings.findOne({ _id: inningsId, match_id: matchId }).session(session).exec();
+        if (!innings) {
+            httpError(next, new Error('Innings not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        await holdScoringLease(session, { match, user: req.user });
+        await declareInnings(session, { match, innings });
+        const snapshot = await getInningsSnapshot(innings, session, match);
 
-        // Commit the transaction
         await session.commitTransaction();
 
-        // Get the players who are out and their statuses
-        const playersOut = innings.batting_order;
-        let playersOutStatus = [];
-        for (let i = 0; i < playersOut.length; i++) {
-            const playerStatus = await CricketPlayerStatus.findOne({
-                player_id: playersOut[i],
-                match_id: matchId,
-                innings_number: innings.innings_number,
-            }).session(session);
-            playersOutStatus.push(playerStatus);
+        const io = req.app.get('io');
+        if (io) {
+            emitToMatch(io, innings.match_id, 'innings-updated', snapshot);
+        }
+
+        httpResponse(req, res, 200, responseMessage.UPDATED('Innings'), { ...snapshot, match });
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Reverts the most recent delivery of an innings, including any wicket, strike change
+ * and innings or match completion it caused. A retry with the same `Idempotency-Key` header gets the
+ * original response instead of undoing another delivery.
+ * POST /api/admin/matches/:matchId/innings/:inningsId/undo
+ */
+export const undoLastBall = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { inningsId, matchId } = req.params;
+
+        // A retry of an undo already made gets the original response instead of undoing another ball
+        const idempotency = { key: idempotencyKeyOf(req), user: req.user, action: `undo:${inningsId}` };
+        const saved = await getSavedResponse(session, idempotency);
+        if (saved) {
+            await session.abortTransaction();
+            replayResponse(req, res, saved);
+            return;
         }
 
+        const innings = await Innings.findOne({ _id: inningsId, match_id: matchId }).session(session).exec();
+        if (!innings) {
+            httpError(next, new Error('Innings not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        await holdScoringLease(session, { match, user: req.user });
+        const { removed } = await undoLastDelivery(session, { match, innings });
+        const snapshot = await getInningsSnapshot(innings, session, match);
+        const data = { ...snapshot, removed, match };
+
+        await saveResponse(session, { ...idempotency, status: 200, message: responseMessage.UPDATED('Innings'), data });
+
+        await session.commitTransaction();
+
         const io = req.app.get('io');
         if (io) {
-            io.emit('innings-updated', {
-                matchId: innings.match_id,
-                inningsId,
-                innings,
-                strikerStatus,
-                nonStrikerStatus,
-                bowlerStatus,
-                playersOut,
-                playersOutStatus
-            });
+            emitToMatch(io, innings.match_id, 'innings-corrected', { ...snapshot, action: 'undo', sequence: removed.sequence, match });
         }
 
-        // Respond with the updated innings
-        httpResponse(req, res, 200, responseMessage.UPDATED('Innings'), {
-            innings,
-            inningsId,
-            strikerStatus,
-            nonStrikerStatus,
-            nextBatsmanStatus,
-            bowlerStatus,
-            playersOut,
-            playersOutStatus
+        httpResponse(req, res, 200, responseMessage.UPDATED('Innings'), data);
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Replaces an earlier delivery of an innings and replays every delivery after it.
+ * The body takes the same fields as a ball update.
+ * PUT /api/admin/matches/:matchId/innings/:inningsId/deliveries/:sequence
+ */
+export const editDelivery = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { inningsId, matchId } = req.params;
+        const sequence = Number(req.params.sequence);
+
+        if (!Number.isInteger(sequence) || sequence < 1) {
+            httpError(next, new Error('Delivery sequence must be a positive whole number'), req, 400);
+            await session.abortTransaction();
+            return;
+        }
+
+        const input = resolveBallInput(req.body);
+
+        const innings = await Innings.findOne({ _id: inningsId, match_id: matchId }).session(session).exec();
+        if (!innings) {
+            httpError(next, new Error('Innings not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        await holdScoringLease(session, { match, user: req.user });
+        const { delivery } = await replaceDelivery(session, { match, innings, sequence, input });
+        const snapshot = await getInningsSnapshot(innings, session, match);
+
+        await session.commitTransaction();
+
+        const io = req.app.get('io');
+        if (io) {
+            emitToMatch(io, innings.match_id, 'innings-corrected', { ...snapshot, action: 'edit', sequence, match });
+        }
+
+        httpResponse(req, res, 200, responseMessage.UPDATED('Delivery'), {
+            ...snapshot,
+            delivery,
+            match,
         });
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Rebuilds an innings' score and player statistics from its delivery log.
+ * Reports the differences only, unless `apply` is true in the body.
+ * POST /api/admin/matches/:matchId/innings/:inningsId/recompute
+ */
+export const recomputeInningsStats = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { inningsId, matchId } = req.params;
+        const apply = req.body.apply === true;
+
+        const innings = await Innings.findOne({ _id: inningsId, match_id: matchId }).session(session).exec();
+        if (!innings) {
+            httpError(next, new Error('Innings not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
 
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        // Rewriting the figures of a match is a scoring change; a dry run only reads them
+        if (apply) {
+            await holdScoringLease(session, { match, user: req.user });
+        }
+
+        const report = await recomputeInnings(session, { match, innings, apply });
+
+        if (apply) {
+            await session.commitTransaction();
+        } else {
+            await session.abortTransaction();
+        }
+
+        httpResponse(req, res, 200, responseMessage.SUCCESS('recompute'), { applied: apply, ...report });
     } catch (error) {
         await session.abortTransaction();
         httpError(next, error, req, 500);
@@ -1235,3 +1432,118 @@ export const updateInnings = async (req, res, next) => {
         session.endSession();
     }
 };
+
+/**
+ * Rebuilds every innings of a match, and the match result, from the delivery logs.
+ * Reports the differences only, unless `apply` is true in the body.
+ * POST /api/admin/matches/:matchId/recompute
+ */
+export const recomputeMatchStats = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { matchId } = req.params;
+        const apply = req.body.apply === true;
+
+        const match = await CricketMatch.findById(matchId).session(session).exec();
+        if (!match) {
+            httpError(next, new Error('Match not found'), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        // Rewriting the figures of a match is a scoring change; a dry run only reads them
+        if (apply) {
+            await holdScoringLease(session, { match, user: req.user });
+        }
+
+        const report = await recomputeMatch(session, { match, apply });
+
+        if (apply) {
+            await session.commitTransaction();
+        } else {
+            await session.abortTransaction();
+        }
+
+        httpResponse(req, res, 200, responseMessage.SUCCESS('recompute'), { applied: apply, ...report });
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Retrieves the ball-by-ball delivery log of an innings, optionally limited to a range of overs.
+ * GET /api/admin/matches/:matchId/innings/:inningsId/deliveries?from_over=1&to_over=6
+ */
+export const getInningsDeliveries = async (req, res, next) => {
+    try {
+        const { matchId, inningsId } = req.params;
+        const { from_over, to_over } = req.query;
+
+        const fromOver = from_over !== undefined ? Number(from_over) : null;
+        const toOver = to_over !== undefined ? Number(to_over) : null;
+
+        if ((fromOver !== null && (!Number.isInteger(fromOver) || fromOver < 1)) ||
+            (toOver !== null && (!Number.isInteger(toOver) || toOver < 1))) {
+            return httpError(next, new Error('from_over and to_over must be positive whole numbers'), req, 400);
+        }
+
+        if (fromOver !== null && toOver !== null && fromOver > toOver) {
+            return httpError(next, new Error('from_over cannot be greater than to_over'), req, 400);
+        }
+
+        const innings = await Innings.findOne({ _id: inningsId, match_id: matchId })
+            .select('_id innings_number')
+            .lean()
+            .exec();
+
+        if (!innings) {
+            return httpError(next, new Error(responseMessage.NOT_FOUND('Innings')), req, 404);
+        }
+
+        const query = { innings_id: innings._id };
+        if (fromOver !== null || toOver !== null) {
+            query.over = {};
+            if (fromOver !== null) query.over.$gte = fromOver;
+            if (toOver !== null) query.over.$lte = toOver;
+        }
+
+        const deliveries = await Delivery.find(query)
+            .sort({ sequence: 1 })
+            .lean()
+            .exec();
+
+        return httpResponse(req, res, 200, responseMessage.FETCHED('Deliveries'), deliveries);
+    } catch (error) {
+        return httpError(next, error, req, 500);
+    }
+};
+
+/**
+ * Retrieves the scorecard of every innings of a match: the batting card with dismissals, did not bat,
+ * extras, total, fall of wickets and the bowling card.
+ * GET /api/admin/matches/:matchId/scorecard
+ */
+export const getScorecard = async (req, res, next) => {
+    try {
+        const { matchId } = req.params;
+
+        const match = await CricketMatch.findById(matchId).exec();
+        if (!match) {
+            return httpError(next, new Error(responseMessage.NOT_FOUND('Match')), req, 404);
+        }
+
+        const scorecard = await getMatchScorecard(match);
+
+        return httpResponse(req, res, 200, responseMessage.FETCHED('Scorecard'), {
+            matchId: match._id,
+            result: match.result,
+            innings: scorecard,
+        });
+    } catch (error) {
+        return httpError(next, error, req, 500);
+    }
+};
@@ -5,11 +5,15 @@
  * managing teams, handling points tables, and statistics.
  */
 
-import { CricketTeam, CricketTournament } from '../../../db/model/index.js';
+import mongoose from 'mongoose';
+
+import { CricketMatch, CricketTeam, CricketTournament, MatchFormat } from '../../../db/model/index.js';
 import httpResponse from "../../../utils/httpResponse.js";
 import httpError from "../../../utils/httpError.js";
 import responseMessage from "../../../constant/responseMessage.js";
 import validateAndSortPointTable from '../../validator/pointstableValidator.js';
+import { recomputeMatch } from '../../services/inningsService.js';
+import { assertNotScoredByOther } from '../../services/scoringLeaseService.js';
 
 /**
  * Creates a new tournament.
@@ -22,6 +26,7 @@ import validateAndSortPointTable from '../../validator/pointstableValidator.js';
  * @param {Date} req.body.startDate - The start date of the tournament.
  * @param {Date} req.body.endDate - The end date of the tournament.
  * @param {string} [req.body.location] - The location of the tournament.
+ * @param {string} [req.body.format] - The ID of the match format the tournament's matches are played under.
  * @param {Object} res - The HTTP response object.
  * @param {Function} next - Middleware function for error handling.
  *
@@ -42,18 +47,24 @@ import validateAndSortPointTable from '../../validator/pointstableValidator.js';
  */
 export const createTournament = async (req, res, next) => {
     try {
-        const { name, startDate, endDate, location } = req.body;
+        const { name, startDate, endDate, location, format } = req.body;
 
         if (!name || !startDate || !endDate) {
             httpError(next, new Error(responseMessage.BAD_REQUEST), req, 400);
             return;
         }
 
+        if (format && !(await MatchFormat.exists({ _id: format }))) {
+            httpError(next, new Error(responseMessage.RESOURCE_NOT_FOUND('Match format')), req, 404);
+            return;
+        }
+
         const tournament = await CricketTournament.create({
             name,
             startDate: new Date(startDate),
             endDate: new Date(endDate),
-            location
+            location,
+            format: format || null
         });
         httpResponse(req, res, 201, responseMessage.RESOURCE_CREATED('Tournament'), tournament)
     } catch (error) {
@@ -168,6 +179,11 @@ export const updateTournament = async (req, res, next) => {
         const { tournamentId } = req.params;
         const updateData = req.body;
 
+        if (updateData.format && !(await MatchFormat.exists({ _id: updateData.format }))) {
+            httpError(next, new Error(responseMessage.RESOURCE_NOT_FOUND('Match format')), req, 404);
+            return;
+        }
+
         const updatedTournament = await CricketTournament.findByIdAndUpdate(tournamentId, updateData, { new: true, runValidators: true }).exec();
 
         if (!updatedTournament) {
@@ -670,3 +686,73 @@ export const updateStats = async (req, res, next) => {
         httpError(next, error, req, 500);
     }
 };
+
+/**
+ * Rebuilds the innings and player statistics of every match in a tournament from the delivery logs.
+ *
+ * @async
+ * @function recomputeTournamentStats
+ * @param {Object} req - The HTTP request object.
+ * @param {string} req.params.tournamentId - The ID of the tournament.
+ * @param {Object} req.body - The request body.
+ * @param {boolean} [req.body.apply=false] - Whether to write the rebuilt figures or only report the differences.
+ * @param {Object} res - The HTTP response object.
+ * @param {Function} next - Middleware function for error handling.
+ *
+ * @description
+ * This function replays the delivery log of every innings in the tournament and reports, per match, each
+ * stored value that differs from the one the deliveries produce. The changes are written only when `apply`
+ * is true, in a single transaction, and are rejected with 409 while another admin is scoring one of the matches.
+ *
+ * @example
+ * POST /api/v1/tournaments/:tournamentId/recompute
+ * {
+ *   "apply": false
+ * }
+ *
+ * @returns {JSON} 200 - The differences found per match and innings.
+ */
+export const recomputeTournamentStats = async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { tournamentId } = req.params;
+        const apply = req.body.apply === true;
+
+        const tournament = await CricketTournament.findById(tournamentId).select('_id').session(session).exec();
+        if (!tournament) {
+            httpError(next, new Error(responseMessage.RESOURCE_NOT_FOUND('Tournament')), req, 404);
+            await session.abortTransaction();
+            return;
+        }
+
+        const matches = await CricketMatch.find({ tournament_id: tournamentId }).session(session).exec();
+
+        // Figures are not rewritten under an admin scoring one of the matches
+        if (apply) {
+            matches.forEach((match) => assertNotScoredByOther(match, req.user));
+        }
+
+        const reports = [];
+        for (const match of matches) {
+            reports.push(await recomputeMatch(session, { match, apply }));
+        }
+
+        if (apply) {
+            await session.commitTransaction();
+        } else {
+            await session.abortTransaction();
+        }
+
+        httpResponse(req, res, 200, responseMessage.SUCCESS('recompute'), {
+            applied: apply,
+            tournamentId,
+            matches: reports,
+        });
+    } catch (error) {
+        await session.abortTransaction();
+        httpError(next, error, req, 500);
+    } finally {
+        session.endSession();
+    }
+};
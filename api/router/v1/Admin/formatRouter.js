@@ -0,0 +1,17 @@
+import express from 'express';
+import { createFormat, deleteFormat, getFormat, getFormats, updateFormat } from '../../../controllers/Admin/formatController.js';
+import adminAuth from '../../../../middleware/adminAuth.js';
+
+const router = express.Router();
+
+router.post('/', adminAuth, createFormat);
+
+router.get('/', getFormats);
+
+router.get('/:formatId', getFormat);
+
+router.patch('/:formatId', adminAuth, updateFormat);
+
+router.delete('/:formatId', adminAuth, deleteFormat);
+
+export default router;
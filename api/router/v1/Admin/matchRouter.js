@@ -1,14 +1,33 @@
 import express from 'express';
 import { 
+    awardMatchResult,
+    awardPenalty,
     createMatch, 
+    declareInningsClosed,
     deleteMatch, 
+    editDelivery,
     getMatch, 
     getMatches, 
     getMatchInnings, 
+    getPlayingXIs,
+    getInningsDeliveries,
+    getScorecard,
+    getScorer,
+    interruptMatch,
+    recordDismissal,
+    retireBatsman,
+    recomputeInningsStats,
+    recomputeMatchStats,
+    selectBowler,
     startInnings, 
+    startSuperOver,
+    substitutePlayer,
+    undoLastBall,
     updateInnings, 
     updateMatch, 
     updateMatchStatus, 
+    updatePlayingXI,
+    updateScorer,
     updateTossStatus 
 } from '../../../controllers/Admin/matchController.js';
 import adminAuth from '../../../../middleware/adminAuth.js';
@@ -29,10 +48,52 @@ router.put('/:matchId/status', adminAuth, updateMatchStatus);
 
 router.put('/:matchId/toss', adminAuth, updateTossStatus);
 
+router.put('/:matchId/playing-xi', adminAuth, updatePlayingXI);
+
+router.get('/:matchId/playing-xi', getPlayingXIs);
+
+router.post('/:matchId/substitutions', adminAuth, substitutePlayer);
+
+router.put('/:matchId/result', adminAuth, awardMatchResult);
+
+router.get('/:matchId/scorer', getScorer);
+
+router.post('/:matchId/scorer', adminAuth, updateScorer);
+
+router.put('/:matchId/scorer', adminAuth, updateScorer);
+
+router.delete('/:matchId/scorer', adminAuth, updateScorer);
+
 router.post('/:matchId/innings', adminAuth, startInnings);
 
 router.get('/:matchId/innings', getMatchInnings);
 
+router.get('/:matchId/scorecard', getScorecard);
+
+router.post('/:matchId/super-over', adminAuth, startSuperOver);
+
+router.post('/:matchId/interruption', adminAuth, interruptMatch);
+
 router.patch('/:matchId/innings/:inningsId/ball', adminAuth, updateInnings);
 
+router.put('/:matchId/innings/:inningsId/bowler', adminAuth, selectBowler);
+
+router.post('/:matchId/innings/:inningsId/dismissal', adminAuth, recordDismissal);
+
+router.post('/:matchId/innings/:inningsId/retire', adminAuth, retireBatsman);
+
+router.post('/:matchId/innings/:inningsId/penalty', adminAuth, awardPenalty);
+
+router.post('/:matchId/innings/:inningsId/declare', adminAuth, declareInningsClosed);
+
+router.post('/:matchId/innings/:inningsId/undo', adminAuth, undoLastBall);
+
+router.get('/:matchId/innings/:inningsId/deliveries', getInningsDeliveries);
+
+router.put('/:matchId/innings/:inningsId/deliveries/:sequence', adminAuth, editDelivery);
+
+router.post('/:matchId/innings/:inningsId/recompute', adminAuth, recomputeInningsStats);
+
+router.post('/:matchId/recompute', adminAuth, recomputeMatchStats);
+
 export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { addTeamsToTournament, createTournament, deleteTournament, getPointsTable, getStats, getTeamsInTournament, getTournament, getTournaments, removeTeamFromTournament, updatePointsTable, updateStats, updateTeamPoints, updateTournament } from '../../../controllers/Admin/tournamentController.js';
+import { addTeamsToTournament, createTournament, deleteTournament, getPointsTable, getStats, getTeamsInTournament, getTournament, getTournaments, recomputeTournamentStats, removeTeamFromTournament, updatePointsTable, updateStats, updateTeamPoints, updateTournament } from '../../../controllers/Admin/tournamentController.js';
 import matchRouter from './matchRouter.js';
 import teamRouter from '../../../router/v1/Admin/teamRouter.js';
 import adminAuth from '../../../../middleware/adminAuth.js';
@@ -35,4 +35,6 @@ router.get('/:tournamentId/stats', getStats);
 
 router.post('/:tournamentId/stats', adminAuth, updateStats);
 
+router.post('/:tournamentId/recompute', adminAuth, recomputeTournamentStats);
+
 export default router;
\ No newline at end of file
@@ -12,6 +12,7 @@ import express from 'express';
 import adminRouter from './Admin/adminRouter.js';
 import playerRouter from './Admin/playerRouter.js';
 import tournamentRouter from './Admin/tournamentRouter.js';
+import formatRouter from './Admin/formatRouter.js';
 import userRouter from './User/userRouter.js';
 
 const router = express.Router();
@@ -44,4 +45,15 @@ router.use('/player', playerRouter);
 
 router.use('/tournament', tournamentRouter);
 
+/**
+ * Match Format Router.
+ *
+ * Routes starting with `/format` are handled by `formatRouter`.
+ *
+ * @example
+ * - POST /api/v1/format: Add a new match format.
+ * - GET /api/v1/format: List the match formats.
+ */
+router.use('/format', formatRouter);
+
 export default router;
@@ -0,0 +1,101 @@
+/**
+ * DLS Calculator.
+ *
+ * Pure functions that revise the target of a rain-affected match from the resources table in
+ * `constant/dlsResources.js`. A side's resources are the share of a full 50-over innings it gets to
+ * use: the resources it starts with, less what each interruption takes away at the score it was on.
+ *
+ * @module dlsCalculator
+ */
+
+import dlsResources from '../../constant/dlsResources.js';
+
+const { TABLE, MAX_OVERS, G50 } = dlsResources;
+
+/**
+ * Reads the table with linear interpolation between overs (for part overs) and between wickets
+ * (for formats with fewer than ten wickets, whose wickets are scaled to ten).
+ *
+ * @param {number} balls - The legal balls left in the innings.
+ * @param {number} wickets - The wickets lost.
+ * @param {Object} [options]
+ * @param {number} [options.ballsPerOver=6] - The legal balls in an over.
+ * @param {number} [options.maxWickets=10] - The wickets that end the innings.
+ * @returns {number} The percentage of resources left.
+ */
+export const resourcesLeft = (balls, wickets, { ballsPerOver = 6, maxWickets = 10 } = {}) => {
+    const overs = Math.min(Math.max(balls, 0) / ballsPerOver, MAX_OVERS);
+    const scaledWickets = (Math.max(wickets, 0) * 10) / maxWickets;
+    if (overs === 0 || scaledWickets >= 10) return 0;
+
+    const cell = (row, column) => (column >= 10 ? 0 : TABLE[row][column]);
+    const atOvers = (column) => {
+        const low = Math.floor(overs);
+        const high = Math.ceil(overs);
+        return cell(low, column) + (cell(high, column) - cell(low, column)) * (overs - low);
+    };
+
+    const low = Math.floor(scaledWickets);
+    const high = Math.ceil(scaledWickets);
+    return atOvers(low) + (atOvers(high) - atOvers(low)) * (scaledWickets - low);
+};
+
+/**
+ * Works out the resources a side has for its innings.
+ *
+ * @param {Object} params
+ * @param {number} params.startBalls - The legal balls the innings was scheduled for when it started.
+ * @param {Array<Object>} params.interruptions - The interruptions of the innings, in order, each with the
+ *        `balls_bowled` and `wickets` when play stopped and the `max_balls_before` and `max_balls_after` it.
+ * @param {number} [params.ballsPerOver=6] - The legal balls in an over.
+ * @param {number} [params.maxWickets=10] - The wickets that end the innings.
+ * @returns {number} The percentage of resources available to the side.
+ */
+export const inningsResources = ({ startBalls, interruptions, ballsPerOver = 6, maxWickets = 10 }) => {
+    const options = { ballsPerOver, maxWickets };
+
+    return interruptions.reduce((resources, interruption) => {
+        const { balls_bowled, wickets, max_balls_before, max_balls_after } = interruption;
+        const lost = resourcesLeft(max_balls_before - balls_bowled, wickets, options)
+            - resourcesLeft(max_balls_after - balls_bowled, wickets, options);
+        return resources - lost;
+    }, resourcesLeft(startBalls, 0, options));
+};
+
+/**
+ * The score the side batting second should have for the resources it has used: the first innings
+ * scaled down when it has had fewer resources, or raised by the 50-over average when it has had more.
+ *
+ * @param {number} firstInningsRuns - The runs scored by the side batting first.
+ * @param {number} team1Resources - The resources of the side batting first.
+ * @param {number} team2Resources - The resources used, or available, to the side batting second.
+ * @returns {number} The par score, in whole runs.
+ */
+export const parScore = (firstInningsRuns, team1Resources, team2Resources) => {
+    const par = team2Resources <= team1Resources
+        ? (firstInningsRuns * team2Resources) / team1Resources
+        : firstInningsRuns + (G50 * (team2Resources - team1Resources)) / 100;
+
+    // Guard against floating point noise putting an exact par a run below
+    return Math.floor(par + 1e-9);
+};
+
+/**
+ * The revised target of the side batting second: one run more than the par score of its full resources.
+ *
+ * @param {number} firstInningsRuns - The runs scored by the side batting first.
+ * @param {number} team1Resources - The resources of the side batting first.
+ * @param {number} team2Resources - The resources available to the side batting second.
+ * @returns {number} The revised target.
+ */
+export const revisedTarget = (firstInningsRuns, team1Resources, team2Resources) =>
+    parScore(firstInningsRuns, team1Resources, team2Resources) + 1;
+
+/**
+ * The overs the side batting second must face before a result can be decided on the par score:
+ * 20 overs of a 50-over match, otherwise a quarter of the innings (5 overs of a 20-over match).
+ *
+ * @param {number} overs - The overs per innings the match was scheduled for.
+ * @returns {number} The minimum overs.
+ */
+export const minimumOversForResult = (overs) => (overs >= 50 ? 20 : Math.ceil(overs / 4));
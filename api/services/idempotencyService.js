@@ -0,0 +1,105 @@
+/**
+ * Idempotency Service.
+ *
+ * A scorer on a patchy connection retries a request that timed out without knowing whether it went
+ * through. Requests sent with an idempotency key store their response in the same transaction as the
+ * change they make, so a retry with the same key gets that response back instead of making the change
+ * a second time.
+ *
+ * @module idempotencyService
+ */
+
+import { IdempotentRequest } from '../../db/model/index.js';
+import { scoringError } from './scoringEngine.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const MAX_KEY_LENGTH = 255;
+
+// A duplicate key, or a write conflict with a concurrent transaction inserting the same key
+const CONFLICT_CODES = [11000, 112];
+
+/**
+ * Checks an idempotency key sent by a client.
+ *
+ * @param {*} key - The key, if any.
+ * @returns {string|null} The key, or `null` when there is none.
+ * @throws {Error} With `status` 400 when the key is not a string of up to 255 characters.
+ */
+export const resolveIdempotencyKey = (key) => {
+    if (key === undefined || key === null || key === '') return null;
+
+    if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+        throw scoringError(`${IDEMPOTENCY_HEADER} must be a string of up to ${MAX_KEY_LENGTH} characters`);
+    }
+    return key;
+};
+
+/**
+ * The idempotency key of a request: the `Idempotency-Key` header, or else the `client_delivery_id`
+ * of the body.
+ *
+ * @param {Object} req - The HTTP request object.
+ * @returns {string|null} The key, or `null` when the request has none.
+ * @throws {Error} With `status` 400 when the key is not a string of up to 255 characters.
+ */
+export const idempotencyKeyOf = (req) =>
+    resolveIdempotencyKey(req.get(IDEMPOTENCY_HEADER) || (req.body ? req.body.client_delivery_id : null));
+
+/**
+ * Finds the response to an earlier request with the same idempotency key.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {string|null} params.key - The idempotency key; nothing is looked up without one.
+ * @param {Object} params.user - The admin, from their token.
+ * @param {string} params.action - What the request does, e.g. `ball:<inningsId>`.
+ * @returns {Promise<Object|null>} The `status`, `message` and `data` of the original response, or `null`
+ *          when this is the first request with the key.
+ * @throws {Error} With `status` 422 when the key was used for a different request.
+ */
+export const getSavedResponse = async (session, { key, user, action }) => {
+    if (!key) return null;
+
+    const saved = await IdempotentRequest.findOne({ username: user.username, key }).session(session).lean().exec();
+    if (!saved) return null;
+
+    if (saved.action !== action) {
+        throw scoringError(`${IDEMPOTENCY_HEADER} was already used for a different request`, 422);
+    }
+    return { status: saved.status_code, message: saved.message, data: saved.data };
+};
+
+/**
+ * Stores the response to a request with an idempotency key, in the transaction of the change it made.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {string|null} params.key - The idempotency key; nothing is stored without one.
+ * @param {Object} params.user - The admin, from their token.
+ * @param {string} params.action - What the request does, e.g. `ball:<inningsId>`.
+ * @param {number} params.status - The HTTP status of the response.
+ * @param {string} params.message - The message of the response.
+ * @param {*} params.data - The data of the response.
+ * @returns {Promise<void>}
+ * @throws {Error} With `status` 409 when a request with the same key is being processed.
+ */
+export const saveResponse = async (session, { key, user, action, status, message, data }) => {
+    if (!key) return;
+
+    try {
+        await IdempotentRequest.create([{
+            key,
+            username: user.username,
+            action,
+            status_code: status,
+            message,
+            data: JSON.parse(JSON.stringify(data)),
+        }], { session });
+    } catch (error) {
+        if (CONFLICT_CODES.includes(error.code)) {
+            throw scoringError(`A request with this ${IDEMPOTENCY_HEADER} is already being processed`, 409);
+        }
+        throw error;
+    }
+};
@@ -0,0 +1,1937 @@
+/**
+ * Innings Service.
+ *
+ * Database side of the scoring engine. Loads the delivery log of an innings, replays it through
+ * `scoringEngine` and writes the resulting score, player statistics and match result back inside
+ * the caller's transaction.
+ *
+ * @module inningsService
+ */
+
+import { CricketMatch, CricketPlayerStatus, CricketTeam, CricketTournament, Delivery, Innings, MatchFormat } from '../../db/model/index.js';
+import ballOutcomes from '../../constant/ballOutcomes.js';
+import dismissals from '../../constant/dismissals.js';
+import { inningsResources, minimumOversForResult, parScore, resourcesLeft, revisedTarget } from './dlsCalculator.js';
+import { getPlayingXI, getSelectedPlayers, getSubstituteFielders } from './playingXiService.js';
+import { holdScoringLease } from './scoringLeaseService.js';
+import {
+    applyDelivery,
+    assertCanBowl,
+    emptyPlayerStats,
+    idOf,
+    overSummary,
+    replayInnings,
+    scoringError,
+    toOvers,
+} from './scoringEngine.js';
+
+const EXTRA_TYPES = ['wide', 'no_ball', 'bye', 'leg_bye'];
+
+// Runs awarded for a wide or a no-ball before any runs are scored off it
+const WIDE_PENALTY = 1;
+const NO_BALL_PENALTY = 1;
+
+const isRunCount = (value) => Number.isInteger(value) && value >= 0 && value <= 7;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Converts a shortcut outcome of `ballOutcomes` to the composite delivery input.
+ */
+const compositeFromOutcome = (ballOutcome) => {
+    const extraType = ballOutcome.extra_type || null;
+    const penalty = { wide: WIDE_PENALTY, no_ball: NO_BALL_PENALTY }[extraType] || 0;
+
+    return {
+        extra_type: extraType,
+        runs_off_bat: ballOutcome.runs || 0,
+        extra_runs: Math.max((ballOutcome.extras || 0) - penalty, 0),
+        extra_runs_type: 'bye',
+        boundary: Boolean(ballOutcome.boundary),
+        is_wicket: Boolean(ballOutcome.is_wicket),
+        description: ballOutcome.description,
+    };
+};
+
+/**
+ * Validates a composite delivery and splits its runs into runs off the bat and extras buckets.
+ *
+ * - Wide: the penalty plus every run scored off it are wides; the batsman is not credited.
+ * - No-ball: the penalty is a no-ball extra; runs off the bat go to the batsman, while runs
+ *   taken without hitting the ball are byes or leg byes (`extra_runs_type`).
+ * - Bye or leg bye: a legal ball whose runs go to that bucket.
+ */
+const resolveComposite = ({ extra_type, runs_off_bat, extra_runs, extra_runs_type, boundary, runs_run }) => {
+    if (extra_type && !EXTRA_TYPES.includes(extra_type)) {
+        throw scoringError(`extra_type must be one of: ${EXTRA_TYPES.join(', ')}`);
+    }
+    if (!isRunCount(runs_off_bat) || !isRunCount(extra_runs)) {
+        throw scoringError('runs_off_bat and extra_runs must be whole numbers from 0 to 7');
+    }
+    if (runs_run !== undefined && runs_run !== null && !isRunCount(runs_run)) {
+        throw scoringError('runs_run must be a whole number from 0 to 7');
+    }
+    if (!['bye', 'leg_bye'].includes(extra_runs_type)) {
+        throw scoringError('extra_runs_type must be bye or leg_bye');
+    }
+    if (!extra_type && extra_runs > 0) {
+        throw scoringError('extra_runs need an extra_type');
+    }
+    if (['wide', 'bye', 'leg_bye'].includes(extra_type) && runs_off_bat > 0) {
+        throw scoringError(`No runs off the bat can be scored from a ${extra_type.replace('_', ' ')}`);
+    }
+    if (['bye', 'leg_bye'].includes(extra_type) && extra_runs === 0) {
+        throw scoringError(`A ${extra_type.replace('_', ' ')} needs at least one run`);
+    }
+    if (extra_type === 'no_ball' && runs_off_bat > 0 && extra_runs > 0) {
+        throw scoringError('Runs off a no-ball are either off the bat or byes/leg byes, not both');
+    }
+    if (boundary && ![4, 6].includes(runs_off_bat + extra_runs)) {
+        throw scoringError('A boundary is worth 4 or 6 runs');
+    }
+
+    const extras = { wides: 0, no_balls: 0, byes: 0, leg_byes: 0, penalty: 0, total: 0 };
+    if (extra_type === 'wide') {
+        extras.wides = WIDE_PENALTY + extra_runs;
+    } else if (extra_type === 'no_ball') {
+        extras.no_balls = NO_BALL_PENALTY;
+        extras[`${extra_runs_type}s`] = extra_runs;
+    } else if (extra_type) {
+        extras[`${extra_type}s`] = extra_runs;
+    }
+    extras.total = extras.wides + extras.no_balls + extras.byes + extras.leg_byes;
+
+    return {
+        is_legal: extra_type !== 'wide' && extra_type !== 'no_ball',
+        runs_off_bat,
+        extras,
+        total_runs: runs_off_bat + extras.total,
+        is_boundary: Boolean(boundary),
+        runs_run: runs_run !== undefined && runs_run !== null ? runs_run : boundary ? 0 : runs_off_bat + extra_runs,
+    };
+};
+
+/**
+ * Default commentary for a composite delivery, e.g. "No ball, 4 runs off the bat (boundary)".
+ */
+const describeComposite = ({ extra_type, runs_off_bat, extra_runs, extra_runs_type, boundary, is_wicket }) => {
+    const parts = [];
+
+    if (extra_type === 'wide') parts.push(extra_runs > 0 ? `Wide + ${plural(extra_runs, 'run')}` : 'Wide ball');
+    if (extra_type === 'no_ball') parts.push('No ball');
+    if (extra_type === 'bye' || extra_type === 'leg_bye' || (extra_type === 'no_ball' && extra_runs > 0)) {
+        const type = extra_type === 'no_ball' ? extra_runs_type : extra_type;
+        parts.push(plural(extra_runs, type === 'bye' ? 'bye' : 'leg bye'));
+    }
+    if (runs_off_bat > 0) parts.push(`${plural(runs_off_bat, 'run')} off the bat`);
+    if (parts.length === 0 && !is_wicket) parts.push('No runs scored');
+    if (is_wicket) parts.push('Wicket');
+
+    return `${parts.join(', ')}${boundary ? ' (boundary)' : ''}`;
+};
+
+/**
+ * Validates the body of a ball update and converts it to the fields recorded on a delivery.
+ *
+ * A ball is given either as a shortcut `outcome` or as a composite of `extra_type`, `runs_off_bat`,
+ * `extra_runs` and `boundary`, which covers any combination the laws allow (a no-ball hit for four,
+ * a wide that runs to the boundary, byes off a no-ball).
+ *
+ * @param {Object} body - The request body of a ball update.
+ * @param {string} [body.outcome] - A key of `ballOutcomes`; required unless the composite fields are given.
+ * @param {string} [body.extra_type] - `wide`, `no_ball`, `bye` or `leg_bye`.
+ * @param {number} [body.runs_off_bat=0] - Runs credited to the batsman.
+ * @param {number} [body.extra_runs=0] - Runs scored as extras, excluding the wide or no-ball penalty.
+ * @param {string} [body.extra_runs_type='bye'] - Whether runs taken off a no-ball without the bat are byes or leg byes.
+ * @param {boolean} [body.boundary=false] - The runs reached the boundary.
+ * @param {number} [body.runs_run] - Runs completed between the wickets when they differ from the runs scored (overthrows).
+ * @param {boolean} [body.is_wicket=false] - A batsman was dismissed on a composite delivery.
+ * @param {string} [body.bowler_id] - The bowler, defaults to the current bowler.
+ * @param {string} [body.player_out_id] - The dismissed batsman, defaults to the striker.
+ * @param {string} [body.dismissal_type] - How the batsman was dismissed, one of `dismissals.TYPES`.
+ * @param {string} [body.fielder_id] - The fielder credited with a catch, stumping or run out.
+ * @param {Array<string>} [body.fielder_ids] - Every fielder involved, the credited one first.
+ * @param {boolean} [body.crossed=false] - The batsmen had crossed before a run out or obstruction.
+ * @param {string} [body.next_batsman_id] - The batsman coming in after a wicket.
+ * @param {number} [body.next_batsman_strike_role] - 1 (striker) or 2 (non-striker).
+ * @param {string} [body.commentary] - Commentary replacing the generated description.
+ * @param {Object} [body.customOutcome] - An outcome shaped like the entries of `ballOutcomes`.
+ * @returns {Object} The delivery input.
+ * @throws {Error} With `status` 400 when the body is invalid.
+ */
+export const resolveBallInput = (body) => {
+    const { outcome, bowler_id, commentary, customOutcome = null } = body;
+
+    if (commentary !== undefined && typeof commentary !== 'string') {
+        throw scoringError('Commentary must be a string.');
+    }
+
+    const isComposite = ['extra_type', 'runs_off_bat', 'extra_runs'].some((field) => body[field] !== undefined);
+    let composite;
+
+    if (isComposite) {
+        composite = {
+            extra_type: body.extra_type || null,
+            runs_off_bat: body.runs_off_bat ?? 0,
+            extra_runs: body.extra_runs ?? 0,
+            extra_runs_type: body.extra_runs_type || 'bye',
+            boundary: Boolean(body.boundary),
+            runs_run: body.runs_run,
+            is_wicket: Boolean(body.is_wicket),
+        };
+    } else {
+        if (!outcome || typeof outcome !== 'string' || (customOutcome && typeof customOutcome !== 'object')) {
+            throw scoringError('Outcome is required and must be a string.');
+        }
+
+        const ballOutcome = customOutcome || ballOutcomes[outcome];
+        if (!ballOutcome) {
+            throw scoringError('Invalid or undefined outcome value.');
+        }
+        composite = { ...compositeFromOutcome(ballOutcome), runs_run: body.runs_run };
+    }
+
+    const resolved = resolveComposite(composite);
+    const isWicket = composite.is_wicket;
+    const { wicket, next_batsman } = resolveWicketInput(body, isWicket, outcome);
+
+    return {
+        kind: 'delivery',
+        outcome: outcome || composite.extra_type || (isWicket ? wicket.dismissal_type : 'runs'),
+        bowler: bowler_id || null,
+        ...resolved,
+        wicket,
+        next_batsman,
+        commentary: commentary || composite.description || describeComposite(composite),
+    };
+};
+
+/**
+ * Validates the wicket fields shared by deliveries and dismissals between deliveries.
+ * `player_out_id` is only used to find the dismissed batsman's end and is not stored.
+ */
+const resolveWicketInput = (body, isWicket, outcome) => {
+    const {
+        player_out_id,
+        dismissal_type,
+        fielder_id,
+        fielder_ids,
+        crossed,
+        next_batsman_id,
+        next_batsman_strike_role,
+    } = body;
+
+    if (dismissal_type && !dismissals.TYPES.includes(dismissal_type)) {
+        throw scoringError(`Invalid dismissal_type: ${dismissal_type}`);
+    }
+
+    if (fielder_ids !== undefined && (!Array.isArray(fielder_ids) || fielder_ids.some((id) => typeof id !== 'string'))) {
+        throw scoringError('fielder_ids must be an array of player IDs');
+    }
+
+    if (next_batsman_strike_role && ![1, 2].includes(next_batsman_strike_role)) {
+        throw scoringError('Next batsman strike role must be 1 (striker) or 2 (non-striker)');
+    }
+
+    if (!isWicket) {
+        return {
+            wicket: { is_wicket: false, dismissal_type: null, fielders: [], crossed: false },
+            next_batsman: { player_id: null, strike_role: null },
+        };
+    }
+
+    const fielders = [...new Set([fielder_id, ...(fielder_ids || [])].filter(Boolean))];
+
+    return {
+        wicket: {
+            is_wicket: true,
+            player_out_id: player_out_id || null,
+            dismissal_type: dismissal_type || (dismissals.TYPES.includes(outcome) ? outcome : 'other'),
+            fielders,
+            crossed: Boolean(crossed),
+        },
+        next_batsman: {
+            player_id: next_batsman_id || null,
+            strike_role: next_batsman_strike_role || null,
+        },
+    };
+};
+
+/**
+ * Validates a dismissal that happens between deliveries (retired out, timed out) and converts it
+ * to the event recorded in the delivery log.
+ *
+ * @param {Object} body - The request body.
+ * @param {string} body.player_out_id - The batsman dismissed.
+ * @param {string} body.dismissal_type - `retired_out` or `timed_out`.
+ * @param {string} [body.next_batsman_id] - The batsman coming in.
+ * @param {number} [body.next_batsman_strike_role] - 1 (striker) or 2 (non-striker).
+ * @param {string} [body.commentary] - Commentary replacing the generated description.
+ * @returns {Object} The event input, shaped like a delivery.
+ * @throws {Error} With `status` 400 when the body is invalid.
+ */
+export const resolveDismissalInput = (body) => {
+    const { player_out_id, dismissal_type, commentary } = body;
+
+    if (!player_out_id) {
+        throw scoringError('player_out_id is required');
+    }
+
+    if (!dismissals.WITHOUT_DELIVERY.includes(dismissal_type)) {
+        throw scoringError(`dismissal_type must be one of: ${dismissals.WITHOUT_DELIVERY.join(', ')}`);
+    }
+
+    if (commentary !== undefined && typeof commentary !== 'string') {
+        throw scoringError('Commentary must be a string.');
+    }
+
+    const { wicket, next_batsman } = resolveWicketInput(body, true, dismissal_type);
+
+    return {
+        kind: 'dismissal',
+        outcome: dismissal_type,
+        is_legal: false,
+        wicket,
+        next_batsman,
+        commentary: commentary || `Batsman ${dismissal_type.replace('_', ' ')}`,
+    };
+};
+
+/**
+ * Validates a batsman retiring hurt or not out and converts it to the event recorded in the delivery log.
+ *
+ * @param {Object} body - The request body.
+ * @param {string} body.player_id - The batsman retiring, who must be at the crease.
+ * @param {string} [body.reason='retired_hurt'] - `retired_hurt` or `retired_not_out`.
+ * @param {string} body.next_batsman_id - The batsman coming in, who may be a batsman resuming after retiring.
+ * @param {number} [body.next_batsman_strike_role] - 1 (striker) or 2 (non-striker).
+ * @param {string} [body.commentary] - Commentary replacing the generated description.
+ * @returns {Object} The event input, shaped like a delivery.
+ * @throws {Error} With `status` 400 when the body is invalid.
+ */
+export const resolveRetirementInput = (body) => {
+    const { player_id, reason = 'retired_hurt', next_batsman_id, next_batsman_strike_role, commentary } = body;
+
+    if (!player_id || !next_batsman_id) {
+        throw scoringError('player_id and next_batsman_id are required');
+    }
+
+    if (!dismissals.RETIREMENTS.includes(reason)) {
+        throw scoringError(`reason must be one of: ${dismissals.RETIREMENTS.join(', ')}`);
+    }
+
+    if (next_batsman_strike_role && ![1, 2].includes(next_batsman_strike_role)) {
+        throw scoringError('Next batsman strike role must be 1 (striker) or 2 (non-striker)');
+    }
+
+    if (commentary !== undefined && typeof commentary !== 'string') {
+        throw scoringError('Commentary must be a string.');
+    }
+
+    return {
+        kind: 'retirement',
+        outcome: reason,
+        is_legal: false,
+        retirement: { player_id, reason },
+        next_batsman: {
+            player_id: next_batsman_id,
+            strike_role: next_batsman_strike_role || null,
+        },
+        commentary: commentary || `Batsman ${reason.replace(/_/g, ' ')}`,
+    };
+};
+
+/**
+ * Resolves a request to award penalty runs into an event for the delivery log.
+ *
+ * @param {Object} body - The request body.
+ * @param {number} [body.runs=5] - The penalty runs awarded.
+ * @param {string} body.awarded_to - `batting` or `fielding`, the side the runs are awarded to.
+ * @param {string} body.reason - Why the runs were awarded, e.g. the ball hitting a fielding helmet.
+ * @param {string} [body.commentary] - Commentary replacing the generated description.
+ * @returns {Object} The event input, shaped like a delivery.
+ * @throws {Error} With `status` 400 when the body is invalid.
+ */
+export const resolvePenaltyInput = (body) => {
+    const { runs = 5, awarded_to, reason, commentary } = body;
+
+    if (!Number.isInteger(runs) || runs < 1) {
+        throw scoringError('Penalty runs must be a positive whole number');
+    }
+
+    if (!['batting', 'fielding'].includes(awarded_to)) {
+        throw scoringError('awarded_to must be one of: batting, fielding');
+    }
+
+    if (!reason || typeof reason !== 'string') {
+        throw scoringError('A reason for the penalty is required');
+    }
+
+    if (commentary !== undefined && typeof commentary !== 'string') {
+        throw scoringError('Commentary must be a string.');
+    }
+
+    return {
+        kind: 'penalty',
+        outcome: 'penalty_runs',
+        is_legal: false,
+        penalty: { runs, awarded_to, reason },
+        commentary: commentary || '',
+    };
+};
+
+// Wickets that end a super over innings
+const SUPER_OVER_WICKETS = 2;
+
+// Rules of a match with no format: eleven a side, six-ball overs, the overs set on the match
+const DEFAULT_FORMAT = Object.freeze({
+    name: 'Default',
+    players_per_side: 11,
+    max_wickets: null,
+    overs: null,
+    balls_per_over: 6,
+    powerplay_overs: 0,
+    death_overs: 0,
+    max_overs_per_bowler: null,
+    last_man_stands: false,
+    innings_per_side: 1,
+    follow_on_lead: null,
+});
+
+/**
+ * Finds the format a match is played under: its own, else its tournament's, else the default format.
+ *
+ * @param {Object} match - The match document.
+ * @param {ClientSession} [session] - The transaction session.
+ * @returns {Promise<Object>} The match format.
+ */
+export const getMatchFormat = async (match, session = null) => {
+    let formatId = match.format;
+
+    if (!formatId && match.tournament_id) {
+        const tournament = match.tournament_id.format !== undefined
+            ? match.tournament_id
+            : await CricketTournament.findById(idOf(match.tournament_id)).select('format').session(session).lean().exec();
+        formatId = tournament && tournament.format;
+    }
+
+    const format = formatId
+        ? await MatchFormat.findById(idOf(formatId)).session(session).lean().exec()
+        : null;
+
+    return format || DEFAULT_FORMAT;
+};
+
+/**
+ * The interruptions of one innings of a match, in order.
+ */
+const interruptionsOf = (match, inningsNumber) =>
+    (match.interruptions || []).filter((interruption) => interruption.innings_number === inningsNumber);
+
+/**
+ * The legal balls an innings is scheduled for: as its last interruption left it, otherwise the overs of
+ * the match, which interruptions revise. The first innings keeps the overs it started with.
+ * An innings closed by an interruption keeps its length, as the log decides where it stopped.
+ */
+const scheduledBalls = (match, inningsNumber, ballsPerOver) => {
+    const interruptions = interruptionsOf(match, inningsNumber);
+    if (interruptions.length > 0) {
+        const last = interruptions[interruptions.length - 1];
+        return last.resumed ? last.max_balls_after : last.max_balls_before;
+    }
+
+    const overs = inningsNumber === 1 && match.dls && match.dls.original_overs
+        ? match.dls.original_overs
+        : match.overs;
+    return overs * ballsPerOver;
+};
+
+/**
+ * Builds the rules an innings is played under from its match and the match format.
+ *
+ * @param {Object} match - The match document.
+ * @param {Object} innings - The innings document.
+ * @param {ClientSession} [session] - The transaction session.
+ * @returns {Promise<Object>} The rules passed to the scoring engine.
+ */
+export const getInningsRules = async (match, innings, session = null) => {
+    const teams = await CricketTeam.find({ _id: { $in: [innings.batting_team_id, innings.bowling_team_id] } })
+        .select('team_name')
+        .session(session)
+        .lean()
+        .exec();
+    const teamName = (teamId) => {
+        const team = teams.find((t) => idOf(t) === idOf(teamId));
+        return team ? team.team_name : null;
+    };
+
+    const format = await getMatchFormat(match, session);
+    // Bowling limits stay those of the overs the match was scheduled for, so shortening it
+    // cannot invalidate overs already bowled
+    const overs = (match.dls && match.dls.original_overs) || match.overs || format.overs;
+    const allOut = format.last_man_stands ? format.players_per_side : format.players_per_side - 1;
+    const interruptions = interruptionsOf(match, innings.innings_number);
+    const lastInterruption = interruptions[interruptions.length - 1];
+    const stopped = Boolean(lastInterruption && !lastInterruption.resumed);
+
+    // The last innings chases a target set by the one before it, which adds the lead its side already has
+    const inningsPerSide = format.innings_per_side || 1;
+    const finalInnings = inningsPerSide * 2;
+    const earlierInnings = innings.super_over ? [] : await Innings.find({
+        match_id: innings.match_id,
+        super_over: null,
+        innings_number: { $lt: innings.innings_number },
+    }).select('batting_team_id score.runs').session(session).lean().exec();
+    const runsBy = (teamId) => earlierInnings
+        .filter((earlier) => idOf(earlier.batting_team_id) === idOf(teamId))
+        .reduce((runs, earlier) => runs + earlier.score.runs, 0);
+
+    const rules = {
+        inningsNumber: innings.innings_number,
+        superOver: innings.super_over || null,
+        ballsPerOver: format.balls_per_over,
+        maxBalls: scheduledBalls(match, innings.innings_number, format.balls_per_over),
+        maxWickets: format.max_wickets || allOut,
+        // Limited-overs bowlers may bowl a fifth of the overs; two-innings cricket has no limit of its own
+        maxOversPerBowler: format.max_overs_per_bowler || (inningsPerSide === 1 ? Math.ceil(overs / 5) : null),
+        playersPerSide: format.players_per_side,
+        lastManStands: format.last_man_stands,
+        powerplayOvers: format.powerplay_overs,
+        deathOvers: format.death_overs || 0,
+        // Penalty runs the side was awarded while fielding, which its innings starts with
+        penaltyRuns: await getAwardedPenaltyRuns(match, innings, session),
+        inningsPerSide,
+        chasing: innings.innings_number === finalInnings,
+        target: innings.innings_number === finalInnings ? match.target_runs : null,
+        setsTarget: innings.innings_number === finalInnings - 1,
+        lead: runsBy(innings.batting_team_id) - runsBy(innings.bowling_team_id),
+        // A two-innings match is drawn when the side batting last runs out of overs with wickets in hand
+        drawable: inningsPerSide > 1,
+        declared: Boolean(innings.score && innings.score.isDeclared),
+        // The innings ends where its log stops: its side declared, or play could not resume,
+        // in which case a chase is decided on the par score
+        closed: stopped || Boolean(innings.score && innings.score.isDeclared),
+        onParScore: stopped && innings.innings_number === finalInnings,
+        battingTeamId: idOf(innings.batting_team_id),
+        bowlingTeamId: idOf(innings.bowling_team_id),
+        battingTeamName: teamName(innings.batting_team_id),
+        bowlingTeamName: teamName(innings.bowling_team_id),
+    };
+
+    // A super over is one over a side with two wickets, chasing the score of the side that batted first
+    if (innings.super_over) {
+        const opening = await Innings.findOne({ match_id: innings.match_id, super_over: innings.super_over })
+            .sort({ innings_number: 1 })
+            .session(session)
+            .exec();
+        const chasing = Boolean(opening) && idOf(opening) !== idOf(innings);
+
+        Object.assign(rules, {
+            maxBalls: format.balls_per_over,
+            maxWickets: Math.min(SUPER_OVER_WICKETS, allOut),
+            maxOversPerBowler: 1,
+            powerplayOvers: 0,
+            deathOvers: 0,
+            chasing,
+            target: chasing ? opening.score.runs + 1 : null,
+            setsTarget: !chasing,
+            lead: 0,
+            drawable: false,
+        });
+    }
+
+    return rules;
+};
+
+/**
+ * Adds up the penalty runs awarded to a side while it was fielding that count towards one of its innings:
+ * those credited to the innings itself, and those awarded before the side had batted again.
+ *
+ * @param {Object} match - The match document.
+ * @param {Object} innings - The innings, or its `innings_number`, `batting_team_id` and `super_over`.
+ * @param {ClientSession} [session] - The transaction session.
+ * @returns {Promise<number>} The penalty runs the innings starts with.
+ */
+export const getAwardedPenaltyRuns = async (match, innings, session = null) => {
+    if (innings.super_over) return 0;
+
+    const penalties = await Delivery.find({
+        match_id: match._id,
+        kind: 'penalty',
+        'penalty.awarded_to': 'fielding',
+        'penalty.team_id': idOf(innings.batting_team_id),
+    }).select('innings_number penalty').session(session).lean().exec();
+    if (penalties.length === 0) return 0;
+
+    const earlierInnings = await Innings.find({
+        match_id: match._id,
+        super_over: null,
+        batting_team_id: idOf(innings.batting_team_id),
+        innings_number: { $lt: innings.innings_number },
+    }).select('innings_number').session(session).lean().exec();
+
+    return penalties
+        .filter(({ innings_number: awardedIn, penalty }) => (penalty.credited_innings_number
+            ? penalty.credited_innings_number === innings.innings_number
+            : awardedIn < innings.innings_number
+                && !earlierInnings.some((earlier) => earlier.innings_number > awardedIn)))
+        .reduce((runs, { penalty }) => runs + penalty.runs, 0);
+};
+
+/**
+ * Works out who bats in the next regular innings of a match. The first innings goes by the toss and the
+ * sides then take turns, except that a side leading by at least the `follow_on_lead` of the format after
+ * the first innings of each may make the other side follow on and bat again straight away.
+ *
+ * @param {Object} match - The match document.
+ * @param {number} inningsNumber - The position of the innings in the match.
+ * @param {Object} [options]
+ * @param {boolean} [options.enforceFollowOn=false] - Whether the side batting first enforces the follow-on.
+ * @param {ClientSession} [session] - The transaction session.
+ * @returns {Promise<Object>} The `battingTeamId` and `bowlingTeamId` of the innings and whether it `isFollowOn`.
+ * @throws {Error} With `status` 400 when the innings cannot start yet, or the follow-on cannot be enforced.
+ */
+export const planInnings = async (match, inningsNumber, { enforceFollowOn = false } = {}, session = null) => {
+    const format = await getMatchFormat(match, session);
+    const finalInnings = (format.innings_per_side || 1) * 2;
+
+    if (!Number.isInteger(inningsNumber) || inningsNumber < 1 || inningsNumber > finalInnings) {
+        throw scoringError(`Innings number must be from 1 to ${finalInnings}`);
+    }
+
+    const inningsList = await Innings.find({ match_id: match._id, super_over: null })
+        .sort({ innings_number: 1 })
+        .session(session)
+        .exec();
+
+    if (inningsList.some((innings) => innings.innings_number === inningsNumber)) {
+        throw scoringError(`Innings ${inningsNumber} already exists for this match`);
+    }
+    if (inningsList.length !== inningsNumber - 1) {
+        throw scoringError(`Innings ${inningsList.length + 1} has to be played first`);
+    }
+
+    const previous = inningsList[inningsList.length - 1];
+    if (previous && previous.status !== 'completed') {
+        throw scoringError(`Innings ${previous.innings_number} is still in progress`);
+    }
+    if (previous && match.status === 'completed') {
+        throw scoringError('The match has already been decided');
+    }
+    if (enforceFollowOn && inningsNumber !== 3) {
+        throw scoringError('The follow-on can only be enforced for the third innings');
+    }
+
+    const otherTeam = (teamId) => (idOf(teamId) === idOf(match.team_Aid) ? match.team_Bid : match.team_Aid);
+    const turn = (battingTeamId, isFollowOn = false) => ({
+        battingTeamId: idOf(battingTeamId),
+        bowlingTeamId: idOf(otherTeam(battingTeamId)),
+        isFollowOn,
+    });
+
+    if (inningsNumber === 1) {
+        if (!match.toss.winner || !match.toss.elected_to) {
+            throw scoringError('The toss has to be recorded before the first innings');
+        }
+        return turn(match.toss.elected_to === 'bat' ? match.toss.winner : otherTeam(match.toss.winner));
+    }
+
+    if (inningsNumber === 3) {
+        const [first, second] = inningsList;
+        if (!enforceFollowOn) return turn(first.batting_team_id);
+
+        const lead = first.score.runs - second.score.runs;
+        if (!format.follow_on_lead) {
+            throw scoringError('The format of this match has no follow-on');
+        }
+        if (lead < format.follow_on_lead) {
+            throw scoringError(`The follow-on needs a first innings lead of at least ${format.follow_on_lead} runs`);
+        }
+        return turn(second.batting_team_id, true);
+    }
+
+    return turn(previous.bowling_team_id);
+};
+
+/**
+ * Works out the next super over innings of a tied match: the second half of a super over in progress,
+ * or a new super over when the last pair of innings finished in a tie on the target of the chase,
+ * as revised for any interruption. The side that batted second bats first in a new super over.
+ *
+ * @param {Object} match - The match document.
+ * @param {ClientSession} [session] - The transaction session.
+ * @returns {Promise<Object>} The `superOver` and `inningsNumber` of the innings, and its batting and bowling teams.
+ * @throws {Error} With `status` 400 when the match is not waiting for a super over.
+ */
+export const planSuperOver = async (match, session = null) => {
+    const inningsList = await Innings.find({ match_id: match._id })
+        .sort({ innings_number: 1 })
+        .session(session)
+        .exec();
+    const last = inningsList[inningsList.length - 1];
+
+    if (!last || last.status !== 'completed') {
+        throw scoringError('A super over can only start once the current innings is complete');
+    }
+
+    const pair = inningsList.filter((innings) => (innings.super_over || null) === (last.super_over || null));
+
+    if (last.super_over && pair.length === 1) {
+        return {
+            superOver: last.super_over,
+            inningsNumber: last.innings_number + 1,
+            battingTeamId: last.bowling_team_id,
+            bowlingTeamId: last.batting_team_id,
+        };
+    }
+
+    if (pair.length !== 2) {
+        throw scoringError('A super over is only played when the match is tied');
+    }
+
+    // The chase decides the tie against the target it was set, which a DLS revision or par score changes
+    const deliveries = await getDeliveries(last, session);
+    const { state } = replayInnings({
+        openers: getOpeners(last, deliveries),
+        deliveries,
+        rules: await getInningsRules(match, last, session),
+    });
+    if (!state.result || !state.result.tie) {
+        throw scoringError('A super over is only played when the match is tied');
+    }
+
+    return {
+        superOver: (last.super_over || 0) + 1,
+        inningsNumber: last.innings_number + 1,
+        battingTeamId: last.batting_team_id,
+        bowlingTeamId: last.bowling_team_id,
+    };
+};
+
+/**
+ * Totals the runs of each side over the regular innings of a match and works out who leads.
+ *
+ * @param {Object} match - The match document.
+ * @param {ClientSession} [session] - The transaction session.
+ * @returns {Promise<Object>} The `totals` by team ID, the `leader` (null when level) and the `lead` in runs.
+ */
+export const getMatchStanding = async (match, session = null) => {
+    const inningsList = await Innings.find({ match_id: match._id, super_over: null })
+        .select('batting_team_id score.runs')
+        .session(session)
+        .lean()
+        .exec();
+
+    const teamA = idOf(match.team_Aid);
+    const teamB = idOf(match.team_Bid);
+    const totals = { [teamA]: 0, [teamB]: 0 };
+    inningsList.forEach((innings) => {
+        totals[idOf(innings.batting_team_id)] += innings.score.runs;
+    });
+
+    let leader = null;
+    if (totals[teamA] !== totals[teamB]) leader = totals[teamA] > totals[teamB] ? teamA : teamB;
+
+    return { totals, leader, lead: Math.abs(totals[teamA] - totals[teamB]) };
+};
+
+/**
+ * Starts an innings with its opening batsmen, bowler and wicket-keeper, after checking each of them
+ * plays for the right side: is in its playing XI, or its squad while it has none.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {number} params.inningsNumber - The position of the innings in the match.
+ * @param {number} [params.superOver] - The super over the innings belongs to.
+ * @param {string} params.battingTeamId - The batting team.
+ * @param {string} params.bowlingTeamId - The bowling team.
+ * @param {Array<string>} params.batsmen - The opening striker and non-striker.
+ * @param {string} params.bowlerId - The opening bowler.
+ * @param {string} [params.wicketKeeperId] - The wicket-keeper; defaults to the one named in the playing XI.
+ * @param {boolean} [params.isFollowOn=false] - Whether the side is following on.
+ * @returns {Promise<{ innings: Document, statuses: Array<Document> }>} The innings and the statuses created for its players.
+ * @throws {Error} With `status` 400 when a player is missing or plays for the wrong side.
+ */
+export const openInnings = async (session, {
+    match,
+    inningsNumber,
+    superOver = null,
+    battingTeamId,
+    bowlingTeamId,
+    batsmen,
+    bowlerId,
+    wicketKeeperId = null,
+    isFollowOn = false,
+}) => {
+    if (!Array.isArray(batsmen) || batsmen.length !== 2 || idOf(batsmen[0]) === idOf(batsmen[1])) {
+        throw scoringError('Batting order must include exactly two players: striker and non-striker');
+    }
+
+    const bowlingXI = getPlayingXI(match, bowlingTeamId);
+    const keeperId = wicketKeeperId || (bowlingXI && bowlingXI.wicket_keeper);
+    if (!bowlerId || !keeperId) {
+        throw scoringError('Initial bowler and wicket-keeper are required');
+    }
+
+    const [batting, fielding] = await Promise.all([
+        getSelectedPlayers(match, battingTeamId, session),
+        getSelectedPlayers(match, bowlingTeamId, session),
+    ]);
+    const invalidBatsmen = batsmen.filter((playerId) => !batting.includes(idOf(playerId)));
+    if (invalidBatsmen.length > 0) {
+        throw scoringError(`Players ${invalidBatsmen.join(', ')} are not playing for the batting team`);
+    }
+    if (!fielding.includes(idOf(bowlerId))) {
+        throw scoringError('Initial bowler is not playing for the bowling team');
+    }
+    if (!fielding.includes(idOf(keeperId))) {
+        throw scoringError('Wicket-keeper is not playing for the bowling team');
+    }
+
+    // A side may start its innings with penalty runs awarded to it while fielding
+    const penaltyRuns = await getAwardedPenaltyRuns(match, {
+        innings_number: inningsNumber,
+        batting_team_id: battingTeamId,
+        super_over: superOver,
+    }, session);
+
+    const [innings] = await Innings.create([{
+        match_id: match._id,
+        innings_number: inningsNumber,
+        super_over: superOver,
+        batting_team_id: battingTeamId,
+        bowling_team_id: bowlingTeamId,
+        batting_order: [],
+        current_batsmen: batsmen,
+        wicket_keeper: keeperId,
+        current_bowler: bowlerId,
+        current_over: { number: 1, bowler: bowlerId },
+        score: {
+            runs: penaltyRuns,
+            extras: { penalty_runs: penaltyRuns, total: penaltyRuns },
+            isFollowOn,
+        },
+        partnerships: [{ wicket: 1, batsmen, contributions: batsmen.map((player) => ({ player_id: player })) }],
+        commentary: [],
+        status: 'ongoing',
+    }], { session });
+
+    const players = [
+        { player_id: batsmen[0], batting: { stricking_role: 1 } },
+        { player_id: batsmen[1], batting: { stricking_role: 2 } },
+        { player_id: keeperId },
+        { player_id: bowlerId },
+    ].filter((player, index, all) => all.findIndex((p) => idOf(p.player_id) === idOf(player.player_id)) === index);
+
+    const statuses = await CricketPlayerStatus.create(
+        players.map((player) => ({ ...player, match_id: match._id, innings_number: inningsNumber })),
+        { session, ordered: true },
+    );
+
+    match.innings.push(innings._id);
+    match.status = 'in_progress';
+    match.endTime = null;
+    setMatchResult(match);
+    await match.save({ session });
+
+    return { innings, statuses };
+};
+
+/**
+ * Works out who opened the innings: from the first delivery when there is one,
+ * otherwise from the innings as it was started.
+ */
+const getOpeners = (innings, deliveries) => {
+    if (deliveries.length > 0) {
+        const [first] = deliveries;
+        return { striker: first.striker, nonStriker: first.non_striker, bowler: first.bowler };
+    }
+
+    const [striker, nonStriker] = innings.current_batsmen;
+    return { striker, nonStriker, bowler: innings.current_bowler };
+};
+
+/**
+ * Loads the delivery log of an innings in bowling order.
+ *
+ * @param {Object} innings - The innings document.
+ * @param {ClientSession} [session] - The transaction session.
+ * @returns {Promise<Array<Document>>} The deliveries.
+ */
+export const getDeliveries = (innings, session = null) =>
+    Delivery.find({ innings_id: innings._id })
+        .sort({ sequence: 1 })
+        .session(session)
+        .exec();
+
+/**
+ * Corrections are only allowed on the latest innings of a match, since changing an
+ * earlier one would invalidate everything played after it.
+ */
+const assertLatestInnings = async (innings, session) => {
+    const laterInnings = await Innings.exists({
+        match_id: innings.match_id,
+        innings_number: { $gt: innings.innings_number },
+    }).session(session);
+
+    if (laterInnings) {
+        throw scoringError('Only the latest innings of a match can be corrected');
+    }
+};
+
+/**
+ * Converts engine statistics to the fields stored on `CricketPlayerStatus`, deriving overs in
+ * cricket notation, strike rate and economy so they are right even when written by `bulkWrite`.
+ */
+const toStatusFields = (stats, ballsPerOver = 6) => {
+    const { batting, bowling, fielding, dismissal } = stats;
+
+    return {
+        batting: {
+            runs: batting.runs,
+            balls_faced: batting.balls_faced,
+            fours: batting.fours,
+            sixes: batting.sixes,
+            strike_rate: batting.balls_faced > 0 ? (batting.runs / batting.balls_faced) * 100 : 0,
+            out_type: batting.out_type,
+            stricking_role: batting.stricking_role,
+            retired: batting.retired,
+        },
+        bowling: {
+            runs_conceded: bowling.runs_conceded,
+            balls_bowled: bowling.balls_bowled,
+            overs_bowled: toOvers(bowling.balls_bowled, ballsPerOver),
+            dot_balls: bowling.dot_balls,
+            maidens: bowling.maidens,
+            wickets: bowling.wickets,
+            extras_conceded: bowling.extras_conceded,
+            no_balls: bowling.no_balls,
+            wides: bowling.wides,
+            economy_rate: bowling.balls_bowled > 0 ? (bowling.runs_conceded / bowling.balls_bowled) * ballsPerOver : 0,
+        },
+        fielding: { ...fielding },
+        dismissal: { ...dismissal },
+    };
+};
+
+// Fields of `CricketMatch.dls` derived from the first innings score
+const DLS_SCORE_FIELDS = ['first_innings_runs', 'team1_resources', 'team2_resources', 'revised_target', 'par_score'];
+
+const roundResources = (resources) => Math.round(resources * 10) / 10;
+
+/**
+ * Works out the resources of each side from the interruptions of the match and, once an interruption
+ * has cost either innings overs, revises the target of the side batting second.
+ */
+const reviseTarget = (match, firstInningsRuns, rules) => {
+    const { ballsPerOver, maxWickets } = rules;
+    const resourcesOf = (inningsNumber) => {
+        const interruptions = interruptionsOf(match, inningsNumber);
+        return roundResources(inningsResources({
+            startBalls: interruptions.length > 0
+                ? interruptions[0].max_balls_before
+                : scheduledBalls(match, inningsNumber, ballsPerOver),
+            interruptions,
+            ballsPerOver,
+            maxWickets,
+        }));
+    };
+
+    const team1Resources = resourcesOf(1);
+    const team2Resources = resourcesOf(2);
+    const revised = match.interruptions.length > 0
+        ? revisedTarget(firstInningsRuns, team1Resources, team2Resources)
+        : null;
+
+    match.set('dls.first_innings_runs', firstInningsRuns);
+    match.set('dls.team1_resources', team1Resources);
+    match.set('dls.team2_resources', team2Resources);
+    match.set('dls.revised_target', revised);
+    if (revised !== null) match.target_runs = revised;
+};
+
+/**
+ * Updates the par score of the side batting second: the first innings score scaled to the resources
+ * it has used so far.
+ */
+const updateParScore = (match, innings, state, rules) => {
+    if (innings.innings_number !== 2 || innings.super_over || match.dls.first_innings_runs === null) return;
+
+    const { score } = state;
+    const left = rules.onParScore ? 0 : resourcesLeft(rules.maxBalls - score.balls, score.wickets, rules);
+    match.set('dls.par_score', parScore(
+        match.dls.first_innings_runs,
+        match.dls.team1_resources,
+        roundResources(match.dls.team2_resources - left),
+    ));
+};
+
+// Results an admin awards, which no innings can overturn
+const AWARDED_METHODS = ['walkover', 'forfeit'];
+
+/**
+ * Summary of a result, e.g. "Team A won by 23 runs" or "Match tied (Team B won the super over)".
+ */
+const describeResult = ({ outcome, winner, margin, method }, winnerName) => {
+    const name = winnerName || idOf(winner);
+    const viaDls = method === 'dls' ? ' (DLS method)' : '';
+
+    if (outcome === 'no_result') return 'No result';
+    if (outcome === 'tie') return `Match tied${viaDls}`;
+    if (method === 'super_over') return `Match tied (${name} won the super over)`;
+    if (outcome === 'draw') return 'Match drawn';
+    if (AWARDED_METHODS.includes(method)) return `${name} won by ${method}`;
+    if (margin.innings) return `${name} won by an innings and ${plural(margin.runs, 'run')}`;
+    if (margin.runs !== null) return `${name} won by ${plural(margin.runs, 'run')}${viaDls}`;
+
+    const ballsRemaining = margin.balls_remaining ? ` (with ${plural(margin.balls_remaining, 'ball')} remaining)` : '';
+    return `${name} won by ${plural(margin.wickets, 'wicket')}${ballsRemaining}${viaDls}`;
+};
+
+/**
+ * Writes the result of a match with its summary and mirrors the winner on `CricketMatch.winner`.
+ * Without a result, clears it for a match still to be decided.
+ *
+ * @param {Object} match - The match document.
+ * @param {Object} [result] - The `outcome`, `winner`, `margin` and `method` of the result.
+ * @param {string} [winnerName] - The name of the winning team, for the summary.
+ */
+export const setMatchResult = (match, result = null, winnerName = null) => {
+    const margin = { runs: null, wickets: null, balls_remaining: null, innings: false, ...(result && result.margin) };
+
+    match.set('result', result
+        ? { winner: null, method: null, ...result, margin, summary: describeResult({ winner: null, ...result, margin }, winnerName) }
+        : { outcome: null, winner: null, margin, method: null, summary: '' });
+    match.winner = (result && result.winner) || null;
+};
+
+/**
+ * Awards a match to one side without it being played out: by walkover when the other side does not
+ * turn up, or by forfeit when it concedes.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {string} params.winnerId - The team awarded the match.
+ * @param {string} params.method - `walkover` or `forfeit`.
+ * @returns {Promise<Document>} The match.
+ * @throws {Error} With `status` 400 when the match is over, the winner is not playing it, or a walkover is
+ *         claimed after play has started.
+ */
+export const awardMatch = async (session, { match, winnerId, method }) => {
+    if (!AWARDED_METHODS.includes(method)) {
+        throw scoringError(`Method must be one of: ${AWARDED_METHODS.join(', ')}`);
+    }
+    if (!['upcoming', 'in_progress'].includes(match.status)) {
+        throw scoringError('Only a match that is upcoming or in progress can be awarded');
+    }
+    if (![idOf(match.team_Aid), idOf(match.team_Bid)].includes(idOf(winnerId))) {
+        throw scoringError('The winner must be one of the teams playing the match');
+    }
+    if (method === 'walkover' && match.innings.length > 0) {
+        throw scoringError('A walkover can only be awarded before play starts');
+    }
+
+    const team = await CricketTeam.findById(winnerId).select('team_name').session(session).lean().exec();
+
+    match.status = 'completed';
+    match.endTime = new Date();
+    setMatchResult(match, { outcome: 'win', winner: winnerId, method }, team && team.team_name);
+    await match.save({ session });
+
+    return match;
+};
+
+/**
+ * Applies the outcome of an innings (or its reversal) to the match.
+ */
+const applyInningsResult = (match, innings, state, rules) => {
+    const { result } = state;
+
+    if (AWARDED_METHODS.includes(match.result.method)) return;
+
+    if (state.status === 'completed' && result) {
+        if (result.target !== undefined) {
+            // The target of a super over lives on the innings that chases it
+            if (!innings.super_over && result.target !== null) {
+                match.target_runs = result.target;
+                if (rules.inningsPerSide === 1) reviseTarget(match, state.score.runs, rules);
+            }
+        } else if (result.tie && rules.inningsPerSide === 1 && (innings.super_over || match.super_over_on_tie)) {
+            // The tie is settled by a super over
+            match.status = 'in_progress';
+            match.endTime = null;
+            setMatchResult(match);
+        } else {
+            match.status = 'completed';
+            match.endTime = match.endTime || new Date();
+
+            let method = 'normal';
+            if (innings.super_over) method = 'super_over';
+            else if (match.dls.revised_target !== null) method = 'dls';
+
+            let outcome = 'win';
+            if (result.draw) outcome = 'draw';
+            else if (result.tie) outcome = 'tie';
+
+            const winnerName = idOf(result.winner) === rules.battingTeamId ? rules.battingTeamName : rules.bowlingTeamName;
+            setMatchResult(match, { outcome, winner: result.winner, margin: result.margin, method }, winnerName);
+        }
+    } else {
+        if (rules.setsTarget && !innings.super_over) {
+            match.target_runs = null;
+            DLS_SCORE_FIELDS.forEach((field) => match.set(`dls.${field}`, null));
+        }
+        if (innings.innings_number > 1 && match.status === 'completed') {
+            match.status = 'in_progress';
+            match.endTime = null;
+            setMatchResult(match);
+        }
+    }
+};
+
+/**
+ * Writes a replayed innings state back to the database.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {Object} params.innings - The innings document.
+ * @param {Array<Document>} params.deliveries - The replayed deliveries.
+ * @param {Array<Object>} params.annotations - The fields derived for each delivery.
+ * @param {Object} params.state - The final innings state.
+ * @param {Object} params.rules - The rules the innings is played under.
+ * @param {Array<string>} [params.changedPlayers] - When a delivery was applied to the cached state, the
+ *        players whose figures it changed; only their statuses are written. Every player's otherwise.
+ * @param {number} [params.deliveryCount] - The deliveries the state covers, when more than `deliveries`.
+ * @returns {Promise<void>}
+ */
+export const persistInningsState = async (session, {
+    match,
+    innings,
+    deliveries,
+    annotations,
+    state,
+    rules,
+    changedPlayers = null,
+    deliveryCount = deliveries.length,
+}) => {
+    // Keep the position and players of each delivery in step with the replay
+    for (let i = 0; i < deliveries.length; i++) {
+        const delivery = deliveries[i];
+        const { over, ball, bowler, striker, non_striker, player_out, batter, retirement, is_free_hit, phase } = annotations[i];
+        delivery.set({ over, ball, bowler, striker, non_striker, is_free_hit, phase });
+        delivery.set('wicket.player_out', player_out);
+        delivery.set('wicket.batter', batter);
+        if (retirement) {
+            delivery.set('retirement.batter', retirement.batter);
+            delivery.set('retirement.player', retirement.player);
+        }
+        if (delivery.isModified()) {
+            await delivery.save({ session });
+        }
+    }
+
+    // Player statistics: every player in the replay, and a reset for anyone who no longer features,
+    // or only the players a delivery applied to the cached state changed
+    const players = changedPlayers || Object.keys(state.players);
+    const bulkOps = players.map((playerId) => ({
+        updateOne: {
+            filter: { match_id: innings.match_id, innings_number: innings.innings_number, player_id: playerId },
+            update: { $set: toStatusFields(state.players[playerId], rules.ballsPerOver) },
+            upsert: true,
+        },
+    }));
+
+    if (!changedPlayers) {
+        const existingStatuses = await CricketPlayerStatus.find({
+            match_id: innings.match_id,
+            innings_number: innings.innings_number,
+        }).session(session).exec();
+
+        existingStatuses
+            .filter((status) => !state.players[idOf(status.player_id)])
+            .forEach((status) => {
+                bulkOps.push({
+                    updateOne: {
+                        filter: { _id: status._id },
+                        update: { $set: toStatusFields(emptyPlayerStats()) },
+                    },
+                });
+            });
+    }
+
+    if (bulkOps.length > 0) {
+        await CricketPlayerStatus.bulkWrite(bulkOps, { session });
+    }
+
+    // Innings
+    innings.score = {
+        ...state.score,
+        isDeclared: innings.score ? innings.score.isDeclared : false,
+        isFollowOn: innings.score ? innings.score.isFollowOn : false,
+    };
+    innings.current_batsmen = [state.striker, state.nonStriker].filter(Boolean);
+    innings.current_bowler = state.bowler;
+    innings.current_over = overSummary(state.currentOver);
+    innings.free_hit = state.freeHit;
+    innings.batting_order = state.battingOrder;
+    innings.partnerships = state.partnerships;
+    innings.fall_of_wickets = state.fallOfWickets;
+    innings.phases = state.phases;
+    innings.commentary = state.commentary.slice(-20);
+    innings.endTime = state.status === 'completed' ? innings.endTime || new Date() : null;
+    innings.status = state.status;
+    await innings.save({ session });
+
+    // Written apart from the innings document so it never reaches clients with it
+    await Innings.updateOne(
+        { _id: innings._id },
+        {
+            $set: {
+                replay_cache: {
+                    deliveries: deliveryCount,
+                    rules: JSON.stringify(rules),
+                    state: { ...state, commentary: state.commentary.slice(-20) },
+                },
+            },
+        },
+        { session },
+    );
+
+    // Match
+    updateParScore(match, innings, state, rules);
+    applyInningsResult(match, innings, state, rules);
+    await match.save({ session });
+};
+
+/**
+ * The over a newly selected bowler starts once the current one is complete.
+ */
+const upcomingOver = (state, bowlerId) => ({
+    number: state.currentOver.number + 1,
+    bowler: bowlerId,
+    runs: 0,
+    wickets: 0,
+    legal_balls: 0,
+    balls: [],
+    is_complete: false,
+});
+
+/**
+ * Checks that the players a delivery names play for the right side: the bowler and fielders for the
+ * bowling team, and the incoming batsman for the batting team. Substitute fielders can field but not bowl.
+ *
+ * @throws {Error} With `status` 400 naming the first player who is not playing for their side.
+ */
+const assertSelectedPlayers = async (match, innings, input, session) => {
+    const [batting, fielding] = await Promise.all([
+        getSelectedPlayers(match, innings.batting_team_id, session),
+        getSelectedPlayers(match, innings.bowling_team_id, session),
+    ]);
+
+    const substitutes = getSubstituteFielders(match, innings.bowling_team_id);
+
+    if (input.bowler && substitutes.includes(idOf(input.bowler))) {
+        throw scoringError('A substitute fielder cannot bowl');
+    }
+    if (input.bowler && !fielding.includes(idOf(input.bowler))) {
+        throw scoringError('Bowler is not playing for the bowling team');
+    }
+
+    const fielders = (input.wicket && input.wicket.fielders) || [];
+    const invalidFielders = fielders
+        .filter((playerId) => !fielding.includes(idOf(playerId)) && !substitutes.includes(idOf(playerId)));
+    if (invalidFielders.length > 0) {
+        throw scoringError(`Fielders ${invalidFielders.join(', ')} are not playing for the bowling team`);
+    }
+
+    const nextBatsman = input.next_batsman && input.next_batsman.player_id;
+    if (nextBatsman && !batting.includes(idOf(nextBatsman))) {
+        throw scoringError('Next batsman is not playing for the batting team');
+    }
+};
+
+/**
+ * The state of an innings after its last delivery: the cached state when it covers every delivery and
+ * was replayed under the same rules, or a full replay of the delivery log otherwise. Only an innings
+ * still open to new deliveries uses the cache.
+ *
+ * @returns {Promise<{ state: Object, deliveries: Array<Document>, annotations: Array<Object>,
+ *          deliveryCount: number, cached: boolean }>} The state, and the deliveries replayed for it,
+ *          none when it came from the cache.
+ */
+const latestInningsState = async (innings, rules, session) => {
+    const [stored, deliveryCount] = await Promise.all([
+        Innings.findById(innings._id).select('+replay_cache').session(session).lean().exec(),
+        Delivery.countDocuments({ innings_id: innings._id }).session(session).exec(),
+    ]);
+    const cache = stored && stored.replay_cache;
+
+    if (cache && !rules.closed && cache.deliveries === deliveryCount && cache.rules === JSON.stringify(rules)) {
+        return { state: cache.state, deliveries: [], annotations: [], deliveryCount, cached: true };
+    }
+
+    const deliveries = await getDeliveries(innings, session);
+    const { state, annotations } = replayInnings({
+        openers: getOpeners(innings, deliveries),
+        deliveries,
+        rules,
+    });
+    return { state, deliveries, annotations, deliveryCount: deliveries.length, cached: false };
+};
+
+/**
+ * Records a new delivery at the end of an innings.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {Object} params.innings - The innings document.
+ * @param {Object} params.input - The delivery input (see `resolveBallInput`).
+ * @returns {Promise<{ delivery: Document, state: Object, completedOver: Object|null }>} The stored delivery,
+ *          the new innings state and a summary of the over if this delivery completed it.
+ */
+export const recordDelivery = async (session, { match, innings, input }) => {
+    await assertSelectedPlayers(match, innings, input, session);
+
+    const rules = await getInningsRules(match, innings, session);
+    const { state, deliveries, annotations, deliveryCount, cached } = await latestInningsState(innings, rules, session);
+
+    // Once an over is complete, the next ball needs a newly selected bowler
+    const bowlerSelected = Boolean(innings.current_over && !innings.current_over.is_complete);
+    const selectedBowler = innings.current_bowler;
+    let bowler = input.bowler;
+    if (!bowler && input.kind !== 'delivery') {
+        bowler = state.bowler;
+    } else if (!bowler) {
+        if (state.currentOver.is_complete && !bowlerSelected) {
+            throw scoringError(`Over ${state.currentOver.number} is complete. Select a new bowler before the next ball.`);
+        }
+        bowler = innings.current_bowler;
+    }
+
+    const figuresBefore = Object.fromEntries(
+        Object.entries(state.players).map(([playerId, stats]) => [playerId, JSON.stringify(stats)]),
+    );
+    const annotation = applyDelivery(state, { ...input, bowler }, rules);
+    // Applied to the cached state, only the players the delivery changed need writing
+    const changedPlayers = cached
+        ? Object.keys(state.players).filter((playerId) => JSON.stringify(state.players[playerId]) !== figuresBefore[playerId])
+        : null;
+
+    const [delivery] = await Delivery.create([{
+        ...input,
+        match_id: match._id,
+        innings_id: innings._id,
+        innings_number: innings.innings_number,
+        sequence: deliveryCount + 1,
+        over: annotation.over,
+        ball: annotation.ball,
+        bowler: annotation.bowler,
+        striker: annotation.striker,
+        non_striker: annotation.non_striker,
+        is_free_hit: annotation.is_free_hit,
+        phase: annotation.phase,
+        wicket: { ...input.wicket, player_out: annotation.player_out, batter: annotation.batter },
+        retirement: annotation.retirement ? { ...input.retirement, ...annotation.retirement } : undefined,
+    }], { session });
+
+    await persistInningsState(session, {
+        match,
+        innings,
+        deliveries,
+        annotations,
+        state,
+        rules,
+        changedPlayers,
+        deliveryCount: deliveryCount + 1,
+    });
+
+    // A dismissal or retirement between overs keeps the bowler already selected for the next over
+    if (input.kind !== 'delivery' && state.currentOver.is_complete && bowlerSelected) {
+        innings.current_bowler = selectedBowler;
+        innings.current_over = upcomingOver(state, selectedBowler);
+        await innings.save({ session });
+    }
+
+    return { delivery, state, completedOver: annotation.completed_over };
+};
+
+/**
+ * Scores a ball submitted by a scorer: validates the request, records the delivery and builds the
+ * updated innings. Shared by the REST ball endpoint and the scorer socket, which each run it in their
+ * own transaction and broadcast the result once it commits.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {string} params.matchId - The match.
+ * @param {string} params.inningsId - The innings, which must not be completed.
+ * @param {Object} params.body - The ball as submitted (see `resolveBallInput`).
+ * @param {Object} params.user - The admin scoring the ball, from their token.
+ * @returns {Promise<Object>} The `match`, `innings`, stored `delivery`, `completedOver`, the innings
+ *          `snapshot` and the `nextBatsmanStatus` when a new batsman came in.
+ * @throws {Error} With `status` 400 for an invalid ball, 404 when the match or innings does not exist and
+ *         409 when another admin is scoring the match.
+ */
+export const scoreBall = async (session, { matchId, inningsId, body, user }) => {
+    const input = resolveBallInput(body);
+
+    const innings = await Innings.findOne({ _id: inningsId, match_id: matchId }).session(session).exec();
+    if (!innings) {
+        throw scoringError('Innings not found', 404);
+    }
+    if (innings.status === 'completed') {
+        throw scoringError('Cannot update a completed innings');
+    }
+
+    const match = await CricketMatch.findById(matchId).session(session).exec();
+    if (!match) {
+        throw scoringError('Match not found', 404);
+    }
+
+    await holdScoringLease(session, { match, user });
+
+    // Record the delivery and rebuild the innings from the delivery log
+    const { delivery, completedOver } = await recordDelivery(session, { match, innings, input });
+
+    const snapshot = await getInningsSnapshot(innings, session, match);
+    const nextBatsmanStatus = delivery.next_batsman.player_id
+        ? await CricketPlayerStatus.findOne({
+            player_id: delivery.next_batsman.player_id,
+            match_id: match._id,
+            innings_number: innings.innings_number,
+        }).session(session).exec()
+        : null;
+
+    return { match, innings, delivery, completedOver, snapshot, nextBatsmanStatus };
+};
+
+/**
+ * Selects the bowler for the next delivery: a new bowler once an over is complete,
+ * or a replacement for a bowler unable to finish the over.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {Object} params.innings - The innings document.
+ * @param {string} params.bowlerId - The bowler to bring on.
+ * @returns {Promise<Object>} The new `current_over`.
+ */
+export const changeBowler = async (session, { match, innings, bowlerId }) => {
+    await assertSelectedPlayers(match, innings, { bowler: bowlerId }, session);
+
+    const rules = await getInningsRules(match, innings, session);
+    const { state } = await latestInningsState(innings, rules, session);
+
+    assertCanBowl(state, bowlerId, rules);
+
+    innings.current_bowler = bowlerId;
+    innings.current_over = state.currentOver.is_complete
+        ? upcomingOver(state, bowlerId)
+        : { ...overSummary(state.currentOver), bowler: bowlerId };
+    await innings.save({ session });
+
+    await CricketPlayerStatus.updateOne(
+        { match_id: innings.match_id, innings_number: innings.innings_number, player_id: bowlerId },
+        { $setOnInsert: toStatusFields(emptyPlayerStats()) },
+        { upsert: true, session },
+    );
+
+    return innings.current_over;
+};
+
+/**
+ * Replays an innings from its delivery log and writes the result back.
+ */
+const rebuildInnings = async (session, match, innings) => {
+    const deliveries = await getDeliveries(innings, session);
+    const rules = await getInningsRules(match, innings, session);
+    const { state, annotations } = replayInnings({ openers: getOpeners(innings, deliveries), deliveries, rules });
+    await persistInningsState(session, { match, innings, deliveries, annotations, state, rules });
+
+    return state;
+};
+
+/**
+ * The earlier innings a penalty awarded to the fielding side counts towards, once it has been recorded.
+ */
+const creditedInningsOf = (match, penaltyEvent, session) => {
+    const { penalty } = penaltyEvent;
+    if (!penalty || penalty.awarded_to !== 'fielding' || !penalty.credited_innings_number) {
+        return null;
+    }
+
+    return Innings.findOne({
+        match_id: match._id,
+        innings_number: penalty.credited_innings_number,
+    }).session(session).exec();
+};
+
+/**
+ * Removes the most recent delivery of an innings and rebuilds everything it affected.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {Object} params.innings - The innings document.
+ * @returns {Promise<{ removed: Document, state: Object }>} The removed delivery and the new innings state.
+ */
+export const undoLastDelivery = async (session, { match, innings }) => {
+    await assertLatestInnings(innings, session);
+
+    const deliveries = await getDeliveries(innings, session);
+    if (deliveries.length === 0) {
+        throw scoringError('There are no deliveries to undo in this innings');
+    }
+
+    const openers = getOpeners(innings, deliveries);
+    const removed = deliveries.pop();
+    const rules = await getInningsRules(match, innings, session);
+    const { state, annotations } = replayInnings({ openers, deliveries, rules });
+
+    await Delivery.deleteOne({ _id: removed._id }).session(session).exec();
+    await persistInningsState(session, { match, innings, deliveries, annotations, state, rules });
+
+    // Penalty runs taken back from an earlier innings change the lead or target of this one
+    const credited = await creditedInningsOf(match, removed, session);
+    if (credited) {
+        await rebuildInnings(session, match, credited);
+        return { removed, state: await rebuildInnings(session, match, innings) };
+    }
+
+    return { removed, state };
+};
+
+/**
+ * Replaces an earlier delivery of an innings and replays every delivery after it.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {Object} params.innings - The innings document.
+ * @param {number} params.sequence - The position of the delivery to replace.
+ * @param {Object} params.input - The corrected delivery input (see `resolveBallInput`).
+ * @returns {Promise<{ delivery: Document, state: Object }>} The corrected delivery and the new innings state.
+ */
+export const replaceDelivery = async (session, { match, innings, sequence, input }) => {
+    await assertLatestInnings(innings, session);
+    await assertSelectedPlayers(match, innings, input, session);
+
+    const deliveries = await getDeliveries(innings, session);
+    const delivery = deliveries.find((d) => d.sequence === sequence);
+    if (!delivery) {
+        throw scoringError(`Delivery ${sequence} not found in this innings`, 404);
+    }
+
+    if (input.kind !== delivery.kind) {
+        throw scoringError(`Delivery ${sequence} is a ${delivery.kind} and cannot be replaced by a ${input.kind}`);
+    }
+
+    const openers = getOpeners(innings, deliveries);
+    const corrected = { ...input, bowler: input.bowler || delivery.bowler };
+    delivery.set({ ...corrected, wicket: { ...input.wicket, player_out: null } });
+
+    // Replay with the corrected input, which may name the dismissed batsman rather than their end
+    const replayed = deliveries.map((d) => (d === delivery ? { ...d.toObject(), ...corrected } : d));
+    const rules = await getInningsRules(match, innings, session);
+    const { state, annotations } = replayInnings({ openers, deliveries: replayed, rules });
+
+    await persistInningsState(session, { match, innings, deliveries, annotations, state, rules });
+
+    return { delivery, state };
+};
+
+/**
+ * Declares an innings closed at its current score. Only a side batting before the last innings of a
+ * two-innings match can declare; the innings then sets the lead or the target as if it had ended.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {Object} params.innings - The innings document.
+ * @returns {Promise<Object>} The new innings state.
+ * @throws {Error} With `status` 400 when the innings cannot be declared.
+ */
+export const declareInnings = async (session, { match, innings }) => {
+    const rules = await getInningsRules(match, innings, session);
+
+    if (rules.inningsPerSide < 2 || innings.super_over) {
+        throw scoringError('Only an innings of a two-innings match can be declared');
+    }
+    if (rules.chasing) {
+        throw scoringError('The side batting last cannot declare');
+    }
+    if (innings.status === 'completed') {
+        throw scoringError('Cannot declare a completed innings');
+    }
+
+    innings.score.isDeclared = true;
+
+    const deliveries = await getDeliveries(innings, session);
+    const closedRules = { ...rules, declared: true, closed: true };
+    const { state, annotations } = replayInnings({
+        openers: getOpeners(innings, deliveries),
+        deliveries,
+        rules: closedRules,
+    });
+    await persistInningsState(session, { match, innings, deliveries, annotations, state, rules: closedRules });
+
+    return state;
+};
+
+/**
+ * Awards penalty runs to either side of the innings in progress and records them in its delivery log.
+ * Runs to the batting side count towards this innings. Runs to the fielding side count towards its most
+ * recent innings, which changes the lead or the target, or towards its next innings when it has not batted yet.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {Object} params.innings - The innings in progress.
+ * @param {Object} params.input - The penalty event (see `resolvePenaltyInput`).
+ * @returns {Promise<{ delivery: Document, state: Object }>} The recorded event and the new innings state.
+ * @throws {Error} With `status` 400 when the penalty cannot be awarded.
+ */
+export const awardPenaltyRuns = async (session, { match, innings, input }) => {
+    await assertLatestInnings(innings, session);
+
+    const rules = await getInningsRules(match, innings, session);
+    const { awarded_to, runs, reason } = input.penalty;
+    const fielding = awarded_to === 'fielding';
+
+    if (fielding && innings.super_over) {
+        throw scoringError('Penalty runs cannot be awarded to the fielding side in a super over');
+    }
+
+    let credited = null;
+    if (fielding) {
+        credited = await Innings.findOne({
+            match_id: match._id,
+            super_over: null,
+            batting_team_id: idOf(innings.bowling_team_id),
+            innings_number: { $lt: innings.innings_number },
+        }).sort({ innings_number: -1 }).session(session).exec();
+    }
+
+    const teamName = fielding ? rules.bowlingTeamName : rules.battingTeamName;
+    const event = {
+        ...input,
+        penalty: {
+            ...input.penalty,
+            team_id: fielding ? idOf(innings.bowling_team_id) : idOf(innings.batting_team_id),
+            credited_innings_number: credited ? credited.innings_number : null,
+        },
+        commentary: input.commentary || `${plural(runs, 'penalty run')} awarded to ${teamName}: ${reason}`,
+    };
+
+    const { delivery, state } = await recordDelivery(session, { match, innings, input: event });
+    if (!credited) {
+        return { delivery, state };
+    }
+
+    // The runs change the total of the earlier innings, and with it the lead or target this innings plays to
+    await rebuildInnings(session, match, credited);
+    return { delivery, state: await rebuildInnings(session, match, innings) };
+};
+
+/**
+ * Records a stoppage in play on a match in progress and revises the match for the overs lost: the overs
+ * of the innings in progress (in the first innings, of the second innings too), the target and the par
+ * score. When play cannot resume, the match is decided on the par score if the side batting second
+ * has faced enough overs, and is abandoned otherwise.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {number} [params.oversLost=0] - The overs lost, when play resumes.
+ * @param {boolean} [params.resumed=true] - Whether play resumes.
+ * @param {string} [params.reason] - Why play stopped, e.g. rain or bad light.
+ * @returns {Promise<{ interruption: Object, innings: Document|null }>} The interruption recorded and the
+ *          innings it cut short, when that innings has started.
+ * @throws {Error} With `status` 400 when the match cannot be interrupted or more overs are lost than remain.
+ */
+export const recordInterruption = async (session, { match, oversLost = 0, resumed = true, reason = '' }) => {
+    if (match.status !== 'in_progress') {
+        throw scoringError('Only a match in progress can be interrupted');
+    }
+
+    const inningsList = await Innings.find({ match_id: match._id })
+        .sort({ innings_number: 1 })
+        .session(session)
+        .exec();
+    const last = inningsList[inningsList.length - 1];
+
+    if (!last) {
+        throw scoringError('Play has not started; change the overs of the match instead');
+    }
+    if (last.super_over || last.innings_number > 2 || (last.innings_number === 2 && last.status === 'completed')) {
+        throw scoringError('Only the first two innings of a match can be shortened');
+    }
+
+    // Between the innings, the overs are lost from the innings to come
+    const innings = last.status === 'completed' ? null : last;
+    const inningsNumber = innings ? innings.innings_number : 2;
+
+    const format = await getMatchFormat(match, session);
+    if (format.innings_per_side > 1) {
+        throw scoringError('Overs can only be revised for rain in a one-innings match');
+    }
+
+    const ballsPerOver = format.balls_per_over;
+    if (!match.dls.original_overs) {
+        match.set('dls.original_overs', match.overs);
+    }
+
+    const ballsBowled = innings ? innings.score.balls : 0;
+    const maxBallsBefore = scheduledBalls(match, inningsNumber, ballsPerOver);
+    const oversLeft = Math.floor((maxBallsBefore - ballsBowled) / ballsPerOver);
+
+    if (resumed) {
+        if (!Number.isInteger(oversLost) || oversLost < 1 || oversLost > oversLeft) {
+            throw scoringError(`Overs lost must be a whole number from 1 to ${oversLeft}`);
+        }
+        if (inningsNumber === 2 && maxBallsBefore - oversLost * ballsPerOver === 0) {
+            throw scoringError('No overs would be left for the second innings; record that play cannot resume instead');
+        }
+    }
+
+    match.interruptions.push({
+        innings_number: inningsNumber,
+        balls_bowled: ballsBowled,
+        wickets: innings ? innings.score.wickets : 0,
+        max_balls_before: maxBallsBefore,
+        max_balls_after: resumed ? maxBallsBefore - oversLost * ballsPerOver : ballsBowled,
+        overs_lost: resumed ? oversLost : toOvers(maxBallsBefore - ballsBowled, ballsPerOver),
+        resumed,
+        reason,
+    });
+    const interruption = match.interruptions[match.interruptions.length - 1];
+
+    if (resumed) {
+        match.overs = interruption.max_balls_after / ballsPerOver;
+    } else {
+        // Too little of the chase was possible for a result on the par score
+        const minimumBalls = Math.min(minimumOversForResult(match.dls.original_overs) * ballsPerOver, maxBallsBefore);
+        if (!innings || inningsNumber === 1 || ballsBowled < minimumBalls) {
+            match.status = 'abandoned';
+            match.endTime = new Date();
+            setMatchResult(match, { outcome: 'no_result' });
+            await match.save({ session });
+            return { interruption, innings: null };
+        }
+    }
+
+    if (inningsNumber === 2) {
+        const firstInnings = inningsList.find((i) => i.innings_number === 1);
+        reviseTarget(match, firstInnings.score.runs, await getInningsRules(match, firstInnings, session));
+    }
+
+    if (!innings) {
+        await match.save({ session });
+        return { interruption, innings: null };
+    }
+
+    // Replay the innings under its new length, which may end it or the match
+    const deliveries = await getDeliveries(innings, session);
+    const rules = await getInningsRules(match, innings, session);
+    const { state, annotations } = replayInnings({
+        openers: getOpeners(innings, deliveries),
+        deliveries,
+        rules,
+    });
+    await persistInningsState(session, { match, innings, deliveries, annotations, state, rules });
+
+    return { interruption, innings };
+};
+
+/**
+ * Flattens nested statistics into dotted paths, normalising IDs and rounding floats
+ * so stored and derived values can be compared.
+ */
+const flattenStats = (value, prefix = '', out = {}) => {
+    Object.entries(value || {}).forEach(([key, field]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (field && typeof field === 'object' && !field._bsontype && !Array.isArray(field) && !(field instanceof Date)) {
+            flattenStats(field, path, out);
+        } else if (typeof field === 'number') {
+            out[path] = Math.round(field * 1e6) / 1e6;
+        } else if (field && field._bsontype) {
+            out[path] = idOf(field);
+        } else {
+            out[path] = field === undefined ? null : field;
+        }
+    });
+    return out;
+};
+
+/**
+ * Lists every field where the stored innings or player statistics differ from the replayed state.
+ */
+const diffInningsState = (innings, statuses, state, rules) => {
+    const changes = [];
+    const compare = (stored, derived, details) => {
+        const storedFields = flattenStats(stored);
+        Object.entries(flattenStats(derived)).forEach(([field, value]) => {
+            const storedValue = storedFields[field] === undefined ? null : storedFields[field];
+            if (storedValue !== value) {
+                changes.push({ ...details, field, stored: storedValue, derived: value });
+            }
+        });
+    };
+
+    const storedInnings = innings.toObject();
+    compare(
+        { score: storedInnings.score, status: storedInnings.status },
+        { score: state.score, status: state.status },
+        { scope: 'innings' },
+    );
+
+    const storedById = new Map(statuses.map((status) => [idOf(status.player_id), status.toObject()]));
+    const playerIds = new Set([...Object.keys(state.players), ...storedById.keys()]);
+
+    playerIds.forEach((playerId) => {
+        const stored = storedById.get(playerId) || {};
+        const derived = toStatusFields(state.players[playerId] || emptyPlayerStats(), rules.ballsPerOver);
+        compare(
+            { batting: stored.batting, bowling: stored.bowling, fielding: stored.fielding, dismissal: stored.dismissal },
+            derived,
+            { scope: 'player', player_id: playerId },
+        );
+    });
+
+    return changes;
+};
+
+/**
+ * Rebuilds an innings from its delivery log and reports what differs from the stored figures.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document; its result fields are updated in memory either way.
+ * @param {Object} params.innings - The innings document.
+ * @param {boolean} [params.apply=false] - Whether to write the rebuilt figures.
+ * @returns {Promise<Object>} The innings ID and number with its `changes`, or the reason it was skipped.
+ */
+export const recomputeInnings = async (session, { match, innings, apply = false }) => {
+    const report = { inningsId: innings._id, innings_number: innings.innings_number, changes: [] };
+
+    const deliveries = await getDeliveries(innings, session);
+    if (deliveries.length === 0 && innings.score && (innings.score.balls > 0 || innings.score.runs > 0)) {
+        return { ...report, skipped: 'This innings has no delivery log to rebuild from' };
+    }
+
+    const rules = await getInningsRules(match, innings, session);
+    let replay;
+    try {
+        replay = replayInnings({ openers: getOpeners(innings, deliveries), deliveries, rules });
+    } catch (error) {
+        return { ...report, skipped: error.message };
+    }
+    const { state, annotations } = replay;
+
+    const statuses = await CricketPlayerStatus.find({
+        match_id: innings.match_id,
+        innings_number: innings.innings_number,
+    }).session(session).exec();
+
+    report.changes = diffInningsState(innings, statuses, state, rules);
+
+    if (apply) {
+        await persistInningsState(session, { match, innings, deliveries, annotations, state, rules });
+    } else {
+        updateParScore(match, innings, state, rules);
+        applyInningsResult(match, innings, state, rules);
+    }
+
+    return report;
+};
+
+/**
+ * Rebuilds every innings of a match in order and reports the changes, including the match result.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {boolean} [params.apply=false] - Whether to write the rebuilt figures.
+ * @returns {Promise<Object>} The match ID, match-level `changes` and a report per innings.
+ */
+export const recomputeMatch = async (session, { match, apply = false }) => {
+    const resultFields = [
+        'target_runs',
+        'winner',
+        'status',
+        'result.outcome',
+        'result.method',
+        'result.summary',
+        'dls.revised_target',
+        'dls.par_score',
+    ];
+    const before = flattenStats(Object.fromEntries(resultFields.map((field) => [field, match.get(field)])));
+
+    const inningsList = await Innings.find({ match_id: match._id })
+        .sort({ innings_number: 1 })
+        .session(session)
+        .exec();
+
+    const innings = [];
+    for (const inningsDoc of inningsList) {
+        innings.push(await recomputeInnings(session, { match, innings: inningsDoc, apply }));
+    }
+
+    const after = flattenStats(Object.fromEntries(resultFields.map((field) => [field, match.get(field)])));
+    const changes = resultFields
+        .filter((field) => before[field] !== after[field])
+        .map((field) => ({ scope: 'match', field, stored: before[field], derived: after[field] }));
+
+    return { matchId: match._id, changes, innings };
+};
+
+/**
+ * The runs the batting side of an innings leads by over the regular innings of the match; negative when it trails.
+ */
+const leadOf = async (match, innings, session) => {
+    if (innings.super_over) return null;
+
+    const { totals } = await getMatchStanding(match, session);
+    return totals[idOf(innings.batting_team_id)] - totals[idOf(innings.bowling_team_id)];
+};
+
+/**
+ * Collects the player statuses clients need to render an innings.
+ *
+ * @param {Object} innings - The innings document.
+ * @param {ClientSession} [session] - The transaction session.
+ * @param {Object} [match] - The match document, to include the target with its revision and par score,
+ *        and the lead of the batting side (negative when it trails).
+ * @returns {Promise<Object>} The innings with its striker, non-striker, bowler and dismissed batsmen,
+ *          the partnership at the crease, and whether the next delivery is a free hit.
+ */
+export const getInningsSnapshot = async (innings, session = null, match = null) => {
+    const statuses = await CricketPlayerStatus.find({
+        match_id: innings.match_id,
+        innings_number: innings.innings_number,
+    }).session(session).exec();
+
+    const statusOf = (playerId) => statuses.find((status) => idOf(status.player_id) === idOf(playerId)) || null;
+    const playersOut = innings.batting_order;
+    const retiredStatus = statuses.filter((status) => status.batting.retired);
+
+    return {
+        matchId: innings.match_id,
+        inningsId: innings._id,
+        innings,
+        freeHit: Boolean(innings.free_hit),
+        strikerStatus: statuses.find((status) => status.batting.stricking_role === 1) || null,
+        nonStrikerStatus: statuses.find((status) => status.batting.stricking_role === 2) || null,
+        bowlerStatus: statusOf(innings.current_bowler),
+        playersOut,
+        playersOutStatus: playersOut.map(statusOf),
+        retiredStatus,
+        currentPartnership: innings.status === 'ongoing' && innings.partnerships.length > 0
+            ? innings.partnerships[innings.partnerships.length - 1]
+            : null,
+        ...(match ? { target: match.target_runs, dls: match.dls, lead: await leadOf(match, innings, session) } : {}),
+    };
+};
@@ -0,0 +1,108 @@
+/**
+ * Match Event Service.
+ *
+ * Numbers the live updates sent to the room of a match and keeps them for a while, so a client that
+ * joins or reconnects mid-match can start from the current state and fetch any updates it missed.
+ *
+ * @module matchEventService
+ */
+
+import { CricketMatch, Delivery, Innings, MatchEvent, MatchEventCounter } from '../../db/model/index.js';
+import { getInningsSnapshot } from './inningsService.js';
+import { getScoringLease } from './scoringLeaseService.js';
+import { idOf } from './scoringEngine.js';
+
+// The most events sent back for one replay request
+const MAX_REPLAY_EVENTS = 500;
+
+/**
+ * Gives an event the next sequence number of its match and stores it for replay.
+ *
+ * @param {string} matchId - The match.
+ * @param {string} event - The event name.
+ * @param {Array<*>} args - The event payload, already serialisable.
+ * @returns {Promise<number|null>} The sequence number, or `null` when the match no longer exists.
+ */
+export const publishMatchEvent = async (matchId, event, args) => {
+    if (!(await CricketMatch.exists({ _id: idOf(matchId) }))) return null;
+
+    const counter = await MatchEventCounter.findOneAndUpdate(
+        { match_id: idOf(matchId) },
+        { $inc: { sequence: 1 } },
+        { new: true, upsert: true },
+    ).lean().exec();
+
+    await MatchEvent.create({ match_id: counter.match_id, sequence: counter.sequence, event, args });
+    return counter.sequence;
+};
+
+/**
+ * The sequence number of the last event of a match, or 0 before its first.
+ */
+const latestSequence = async (matchId) => {
+    const counter = await MatchEventCounter.findOne({ match_id: idOf(matchId) }).lean().exec();
+    return counter ? counter.sequence : 0;
+};
+
+/**
+ * Builds the current state of a match for a client that has just joined its room: the status and
+ * result, who is scoring it, the innings in progress with its batsmen and bowler, and its most recent
+ * deliveries.
+ *
+ * @param {string} matchId - The match.
+ * @param {Object} [options]
+ * @param {number} [options.recent=12] - How many of the latest deliveries to include.
+ * @returns {Promise<Object|null>} The state, with the `sequence` of the last event it includes, or `null`
+ *          when the match does not exist.
+ */
+export const getMatchState = async (matchId, { recent = 12 } = {}) => {
+    // Read the sequence first: any event after it is one the client still receives in the room
+    const sequence = await latestSequence(matchId);
+    const match = await CricketMatch.findById(idOf(matchId)).exec();
+    if (!match) return null;
+
+    const innings = await Innings.findOne({ match_id: match._id }).sort({ innings_number: -1 }).exec();
+    const snapshot = innings ? await getInningsSnapshot(innings, null, match) : null;
+    const deliveries = innings
+        ? await Delivery.find({ innings_id: innings._id }).sort({ sequence: -1 }).limit(recent).lean().exec()
+        : [];
+
+    return {
+        matchId: match._id,
+        sequence,
+        status: match.status,
+        result: match.result,
+        target: match.target_runs,
+        scorer: getScoringLease(match),
+        innings: snapshot,
+        recentDeliveries: deliveries.reverse(),
+    };
+};
+
+/**
+ * Lists the events of a match after a sequence number, in order, for a client that detected a gap.
+ *
+ * @param {string} matchId - The match.
+ * @param {number} since - The sequence number of the last event the client received.
+ * @returns {Promise<Object>} The `events`, each with its `sequence`, `event` and `args`, and whether they
+ *          are `complete`: `false` when some have expired or there were too many, in which case the client
+ *          should rejoin the room for the current state instead.
+ */
+export const getEventsSince = async (matchId, since) => {
+    const after = Math.max(Number(since) || 0, 0);
+    const latest = await latestSequence(matchId);
+    const events = await MatchEvent.find({ match_id: idOf(matchId), sequence: { $gt: after } })
+        .sort({ sequence: 1 })
+        .limit(MAX_REPLAY_EVENTS + 1)
+        .select('sequence event args')
+        .lean()
+        .exec();
+
+    const returned = events.slice(0, MAX_REPLAY_EVENTS);
+
+    return {
+        events: returned.map(({ sequence, event, args }) => ({ sequence, event, args })),
+        // Every event up to the latest when the request came in is there, none expired
+        complete: returned.filter((stored) => stored.sequence <= latest).length === Math.max(latest - after, 0),
+    };
+};
@@ -0,0 +1,226 @@
+/**
+ * Playing XI Service.
+ *
+ * The players each team picks for a match, the substitutes who come on during it, and the lookups the
+ * scoring side uses to check that every player named in an innings is playing for the right team.
+ *
+ * @module playingXiService
+ */
+
+import { CricketTeam, Innings } from '../../db/model/index.js';
+import { idOf, scoringError } from './scoringEngine.js';
+
+/**
+ * Finds the playing XI a team submitted for a match.
+ *
+ * @param {Object} match - The match document.
+ * @param {string} teamId - The team.
+ * @returns {Object|null} The playing XI, or `null` when the team has not submitted one.
+ */
+export const getPlayingXI = (match, teamId) =>
+    (match.playing_xi || []).find((selection) => idOf(selection.team_id) === idOf(teamId)) || null;
+
+const substitutionsOf = (match, teamId, type) => (match.substitutions || [])
+    .filter((substitution) => idOf(substitution.team_id) === idOf(teamId) && substitution.type === type);
+
+/**
+ * Lists the players of a team's playing XI as it stands, with any replacements in place of the players
+ * they replaced.
+ *
+ * @param {Object} match - The match document.
+ * @param {string} teamId - The team.
+ * @returns {Array<string>|null} The IDs of the players, or `null` when the team has not submitted a playing XI.
+ */
+export const getPlayingSide = (match, teamId) => {
+    const playingXI = getPlayingXI(match, teamId);
+    if (!playingXI) return null;
+
+    return substitutionsOf(match, teamId, 'replacement').reduce(
+        (side, substitution) => [
+            ...side.filter((playerId) => playerId !== idOf(substitution.player_out)),
+            idOf(substitution.player_in),
+        ],
+        playingXI.players.map(idOf),
+    );
+};
+
+/**
+ * Lists the players who can bat or bowl for a team in a match: its playing side once it has submitted
+ * a playing XI, otherwise its whole squad.
+ *
+ * @param {Object} match - The match document.
+ * @param {string} teamId - The team.
+ * @param {ClientSession} [session] - The transaction session.
+ * @returns {Promise<Array<string>>} The IDs of the players.
+ */
+export const getSelectedPlayers = async (match, teamId, session = null) => {
+    const side = getPlayingSide(match, teamId);
+    if (side) return side;
+
+    const team = await CricketTeam.findById(idOf(teamId)).select('players').session(session).lean().exec();
+    return team ? team.players.map(idOf) : [];
+};
+
+/**
+ * Lists the substitute fielders of a team, who can take catches and run batsmen out but not bat or bowl.
+ *
+ * @param {Object} match - The match document.
+ * @param {string} teamId - The team.
+ * @returns {Array<string>} The IDs of the substitutes.
+ */
+export const getSubstituteFielders = (match, teamId) =>
+    substitutionsOf(match, teamId, 'fielding').map((substitution) => idOf(substitution.player_in));
+
+/**
+ * Sets the playing XI of a team for a match whose first innings has not started, replacing any XI it
+ * submitted before.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {string} params.teamId - The team, one of the two playing the match.
+ * @param {Array<string>} params.players - The players in the side.
+ * @param {number} params.playersPerSide - The players each side fields, from the match format.
+ * @param {string} params.captainId - The captain, one of the players.
+ * @param {string} [params.viceCaptainId] - The vice-captain, one of the players other than the captain.
+ * @param {string} params.wicketKeeperId - The wicket-keeper, one of the players.
+ * @param {string} [params.twelfthManId] - The twelfth man, from the squad but not among the players.
+ * @returns {Promise<Object>} The playing XI.
+ * @throws {Error} With `status` 400 when the selection is invalid or an innings has started.
+ */
+export const setPlayingXI = async (session, {
+    match,
+    teamId,
+    players,
+    playersPerSide,
+    captainId,
+    viceCaptainId = null,
+    wicketKeeperId,
+    twelfthManId = null,
+}) => {
+    // Teams name their XI at the toss, so it can change until the first innings starts
+    if (match.innings.length > 0 || ['completed', 'cancelled', 'abandoned'].includes(match.status)) {
+        throw scoringError('The playing XI cannot be changed once the first innings has started');
+    }
+
+    if (![idOf(match.team_Aid), idOf(match.team_Bid)].includes(idOf(teamId))) {
+        throw scoringError('The team is not playing this match');
+    }
+
+    const team = await CricketTeam.findById(idOf(teamId)).select('team_name players').session(session).lean().exec();
+    if (!team) {
+        throw scoringError('Team not found', 404);
+    }
+
+    if (!Array.isArray(players) || new Set(players.map(idOf)).size !== players.length) {
+        throw scoringError('Players must be a list of different players');
+    }
+    if (players.length !== playersPerSide) {
+        throw scoringError(`A playing XI must have exactly ${playersPerSide} players`);
+    }
+
+    const squad = team.players.map(idOf);
+    const notInSquad = players.map(idOf).filter((playerId) => !squad.includes(playerId));
+    if (notInSquad.length > 0) {
+        throw scoringError(`Players ${notInSquad.join(', ')} are not in the squad of ${team.team_name}`);
+    }
+
+    const inSide = (playerId) => players.some((player) => idOf(player) === idOf(playerId));
+    if (!captainId || !inSide(captainId)) {
+        throw scoringError('The captain must be one of the players');
+    }
+    if (viceCaptainId && (!inSide(viceCaptainId) || idOf(viceCaptainId) === idOf(captainId))) {
+        throw scoringError('The vice-captain must be one of the players other than the captain');
+    }
+    if (!wicketKeeperId || !inSide(wicketKeeperId)) {
+        throw scoringError('The wicket-keeper must be one of the players');
+    }
+    if (twelfthManId && (!squad.includes(idOf(twelfthManId)) || inSide(twelfthManId))) {
+        throw scoringError(`The twelfth man must be in the squad of ${team.team_name} but not among the players`);
+    }
+
+    const playingXI = {
+        team_id: idOf(teamId),
+        players: players.map(idOf),
+        captain: idOf(captainId),
+        vice_captain: idOf(viceCaptainId),
+        wicket_keeper: idOf(wicketKeeperId),
+        twelfth_man: idOf(twelfthManId),
+    };
+
+    match.playing_xi = [
+        ...match.playing_xi.filter((selection) => idOf(selection.team_id) !== idOf(teamId)),
+        playingXI,
+    ];
+    await match.save({ session });
+
+    return getPlayingXI(match, teamId);
+};
+
+/**
+ * Brings a substitute on for one of a team's playing side during a match: a substitute fielder, who can
+ * take catches but not bat or bowl, or a like-for-like replacement who takes over every role of the
+ * player replaced from the over in progress.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {string} params.teamId - The team making the substitution.
+ * @param {string} params.playerInId - The substitute, from the team's squad but not its playing side.
+ * @param {string} params.playerOutId - The player leaving the field, one of the playing side.
+ * @param {string} params.type - `fielding` or `replacement`.
+ * @param {string} [params.reason] - Why the player left the field, e.g. concussion.
+ * @returns {Promise<Object>} The substitution.
+ * @throws {Error} With `status` 400 when the substitution is invalid.
+ */
+export const recordSubstitution = async (session, { match, teamId, playerInId, playerOutId, type, reason = '' }) => {
+    if (!['fielding', 'replacement'].includes(type)) {
+        throw scoringError('type must be one of: fielding, replacement');
+    }
+
+    if (match.status !== 'in_progress') {
+        throw scoringError('Substitutes can only come on during a match in progress');
+    }
+
+    if (![idOf(match.team_Aid), idOf(match.team_Bid)].includes(idOf(teamId))) {
+        throw scoringError('The team is not playing this match');
+    }
+
+    const side = getPlayingSide(match, teamId);
+    if (!side) {
+        throw scoringError('Submit the playing XI of the team before making substitutions');
+    }
+
+    const team = await CricketTeam.findById(idOf(teamId)).select('team_name players').session(session).lean().exec();
+    if (!side.includes(idOf(playerOutId))) {
+        throw scoringError(`The player leaving the field is not playing for ${team.team_name}`);
+    }
+    if (!team.players.some((player) => idOf(player) === idOf(playerInId)) || side.includes(idOf(playerInId))) {
+        throw scoringError(`The substitute must be in the squad of ${team.team_name} but not playing`);
+    }
+    if (type === 'fielding' && getSubstituteFielders(match, teamId).includes(idOf(playerInId))) {
+        throw scoringError('The substitute is already on the field');
+    }
+
+    // The substitute comes on from the over in progress, or the next one once an over is complete
+    const innings = await Innings.findOne({ match_id: match._id })
+        .sort({ innings_number: -1 })
+        .select('innings_number current_over')
+        .session(session)
+        .lean()
+        .exec();
+    const currentOver = innings ? innings.current_over : null;
+
+    match.substitutions.push({
+        team_id: idOf(teamId),
+        player_in: idOf(playerInId),
+        player_out: idOf(playerOutId),
+        type,
+        innings_number: innings ? innings.innings_number : 1,
+        from_over: currentOver ? currentOver.number + (currentOver.is_complete ? 1 : 0) : 1,
+        reason,
+    });
+    await match.save({ session });
+
+    return match.substitutions[match.substitutions.length - 1];
+};
@@ -0,0 +1,248 @@
+/**
+ * Scorecard Service.
+ *
+ * Builds the batting and bowling scorecard of each innings of a match from the innings documents,
+ * the player statuses and the delivery log, so clients do not have to stitch them together.
+ *
+ * @module scorecardService
+ */
+
+import { CricketPlayer, CricketPlayerStatus, CricketTeam, Delivery, Innings } from '../../db/model/index.js';
+import { getMatchFormat } from './inningsService.js';
+import { getPlayingSide, getSubstituteFielders } from './playingXiService.js';
+import { idOf } from './scoringEngine.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * How a batsman was out, in scorecard notation, e.g. "c Rahul b Kiran", "c sub (Vikram) b Kiran"
+ * or "run out (Arjun/Dev)". A catch with no fielder recorded is shown as "c ? b Kiran".
+ *
+ * @param {Object} wicket - The wicket of the delivery the batsman was out to.
+ * @param {string} bowlerId - The bowler of the delivery.
+ * @param {string} bowlerName - The name of the bowler.
+ * @param {Function} nameOf - Looks up a fielder's name by ID, marking substitutes.
+ * @returns {string} The dismissal text.
+ */
+const describeDismissal = (wicket, bowlerId, bowlerName, nameOf) => {
+    const [fielderId] = wicket.fielders || [];
+    const fielder = fielderId ? nameOf(fielderId) : null;
+
+    switch (wicket.dismissal_type) {
+        case 'caught':
+            if (!fielderId) return `c ? b ${bowlerName}`;
+            if (idOf(fielderId) === idOf(bowlerId)) return `c & b ${bowlerName}`;
+            return `c ${fielder} b ${bowlerName}`;
+        case 'bowled':
+            return `b ${bowlerName}`;
+        case 'lbw':
+            return `lbw b ${bowlerName}`;
+        case 'stumped':
+            return fielder ? `st ${fielder} b ${bowlerName}` : `st b ${bowlerName}`;
+        case 'hit_wicket':
+            return `hit wicket b ${bowlerName}`;
+        case 'run_out':
+            return wicket.fielders && wicket.fielders.length > 0
+                ? `run out (${wicket.fielders.map(nameOf).join('/')})`
+                : 'run out';
+        case 'obstructing_the_field':
+            return 'obstructing the field';
+        case 'retired_out':
+            return 'retired out';
+        case 'timed_out':
+            return 'timed out';
+        default:
+            return 'out';
+    }
+};
+
+/**
+ * The batsmen of an innings in the order they came in: the openers, then each batsman as they
+ * first appear at the crease, ending with the batsmen there now.
+ */
+const battingOrderOf = (innings, deliveries) => {
+    const order = [];
+    const arrive = (playerId) => {
+        if (playerId && !order.includes(idOf(playerId))) order.push(idOf(playerId));
+    };
+
+    deliveries.forEach((delivery) => {
+        arrive(delivery.striker);
+        arrive(delivery.non_striker);
+    });
+    innings.current_batsmen.forEach(arrive);
+
+    return order;
+};
+
+/**
+ * Builds the scorecard of one innings.
+ */
+const inningsScorecard = ({
+    innings,
+    statuses,
+    deliveries,
+    battingTeam,
+    bowlingTeam,
+    battingSide,
+    substitutes,
+    nameOf,
+    ballsPerOver,
+}) => {
+    const fielderName = (playerId) => (substitutes.includes(idOf(playerId)) ? `sub (${nameOf(playerId)})` : nameOf(playerId));
+    const statusOf = (playerId) => statuses.find((status) => idOf(status.player_id) === idOf(playerId)) || null;
+
+    // The delivery each batsman was out to
+    const wicketOf = {};
+    deliveries
+        .filter((delivery) => delivery.wicket && delivery.wicket.is_wicket && delivery.wicket.player_out)
+        .forEach((delivery) => {
+            wicketOf[idOf(delivery.wicket.player_out)] = delivery;
+        });
+
+    const batted = battingOrderOf(innings, deliveries);
+    const batting = batted.map((playerId) => {
+        const stats = statusOf(playerId);
+        const figures = stats ? stats.batting : {};
+        const dismissedBy = wicketOf[playerId];
+
+        let dismissal = 'not out';
+        if (dismissedBy) {
+            dismissal = describeDismissal(dismissedBy.wicket, dismissedBy.bowler, nameOf(dismissedBy.bowler), fielderName);
+        } else if (figures.retired) {
+            dismissal = figures.retired.replace(/_/g, ' ');
+        }
+
+        return {
+            player_id: playerId,
+            name: nameOf(playerId),
+            dismissal,
+            dismissal_type: dismissedBy ? dismissedBy.wicket.dismissal_type : null,
+            runs: figures.runs || 0,
+            balls: figures.balls_faced || 0,
+            fours: figures.fours || 0,
+            sixes: figures.sixes || 0,
+            strike_rate: round2(figures.strike_rate || 0),
+        };
+    });
+
+    const didNotBat = battingSide
+        .filter((player) => !batted.includes(idOf(player)))
+        .map((player) => ({ player_id: idOf(player), name: nameOf(player) }));
+
+    const { score } = innings;
+    const extras = {
+        byes: score.extras.byes,
+        leg_byes: score.extras.legByes,
+        wides: score.extras.wides,
+        no_balls: score.extras.noBalls,
+        penalty: score.extras.penalty_runs,
+        total: score.extras.total,
+    };
+
+    const total = {
+        runs: score.runs,
+        wickets: score.wickets,
+        overs: score.overs,
+        run_rate: score.balls > 0 ? round2((score.runs / score.balls) * ballsPerOver) : 0,
+        declared: Boolean(score.isDeclared),
+    };
+
+    const fallOfWickets = (innings.fall_of_wickets || []).map((fall) => ({
+        wicket: fall.wicket,
+        runs: fall.runs,
+        overs: fall.overs,
+        player_id: idOf(fall.player_out),
+        name: nameOf(fall.player_out),
+    }));
+
+    // Bowlers in the order they came on
+    const bowlers = [];
+    deliveries.forEach((delivery) => {
+        if (delivery.bowler && !bowlers.includes(idOf(delivery.bowler))) bowlers.push(idOf(delivery.bowler));
+    });
+    const bowling = bowlers.map((playerId) => {
+        const stats = statusOf(playerId);
+        const figures = stats ? stats.bowling : {};
+
+        return {
+            player_id: playerId,
+            name: nameOf(playerId),
+            overs: figures.overs_bowled || 0,
+            maidens: figures.maidens || 0,
+            runs: figures.runs_conceded || 0,
+            wickets: figures.wickets || 0,
+            economy: round2(figures.economy_rate || 0),
+            dot_balls: figures.dot_balls || 0,
+            wides: figures.wides || 0,
+            no_balls: figures.no_balls || 0,
+        };
+    });
+
+    return {
+        inningsId: innings._id,
+        innings_number: innings.innings_number,
+        super_over: innings.super_over,
+        status: innings.status,
+        batting_team: { _id: battingTeam._id, team_name: battingTeam.team_name },
+        bowling_team: { _id: bowlingTeam._id, team_name: bowlingTeam.team_name },
+        batting,
+        did_not_bat: didNotBat,
+        extras,
+        total,
+        fall_of_wickets: fallOfWickets,
+        bowling,
+        phases: innings.phases,
+    };
+};
+
+/**
+ * Builds the scorecard of every innings of a match, in the order they were played.
+ *
+ * @param {Object} match - The match document.
+ * @param {ClientSession} [session] - The transaction session.
+ * @returns {Promise<Array<Object>>} For each innings: the batting card with each batsman's dismissal,
+ *          the batsmen who did not bat, the extras, the total, the fall of wickets, the bowling card and
+ *          the figures of each phase.
+ */
+export const getMatchScorecard = async (match, session = null) => {
+    const [inningsList, statuses, deliveries, teams, format] = await Promise.all([
+        Innings.find({ match_id: match._id }).sort({ innings_number: 1 }).session(session).lean().exec(),
+        CricketPlayerStatus.find({ match_id: match._id }).session(session).lean().exec(),
+        Delivery.find({ match_id: match._id }).sort({ sequence: 1 }).session(session).lean().exec(),
+        CricketTeam.find({ _id: { $in: [idOf(match.team_Aid), idOf(match.team_Bid)] } }).session(session).lean().exec(),
+        getMatchFormat(match, session),
+    ]);
+
+    // Names of everyone on either side, and of anyone else the log refers to
+    const playerIds = new Set(teams.flatMap((team) => team.players.map(idOf)));
+    deliveries.forEach((delivery) => {
+        [delivery.striker, delivery.non_striker, delivery.bowler, ...(delivery.wicket ? delivery.wicket.fielders : [])]
+            .filter(Boolean)
+            .forEach((playerId) => playerIds.add(idOf(playerId)));
+    });
+    const players = await CricketPlayer.find({ _id: { $in: [...playerIds] } })
+        .select('player_name')
+        .session(session)
+        .lean()
+        .exec();
+    const nameOf = (playerId) => {
+        const player = players.find((candidate) => idOf(candidate) === idOf(playerId));
+        return player ? player.player_name : 'Unknown';
+    };
+    const teamOf = (teamId) => teams.find((team) => idOf(team) === idOf(teamId));
+    // The playing side of a team with its replacements, or its squad when it did not submit a playing XI
+    const sideOf = (teamId) => getPlayingSide(match, teamId) || teamOf(teamId).players;
+
+    return inningsList.map((innings) => inningsScorecard({
+        innings,
+        statuses: statuses.filter((status) => status.innings_number === innings.innings_number),
+        deliveries: deliveries.filter((delivery) => idOf(delivery.innings_id) === idOf(innings._id)),
+        battingTeam: teamOf(innings.batting_team_id),
+        bowlingTeam: teamOf(innings.bowling_team_id),
+        battingSide: sideOf(innings.batting_team_id),
+        substitutes: getSubstituteFielders(match, innings.bowling_team_id),
+        nameOf,
+        ballsPerOver: format.balls_per_over,
+    }));
+};
@@ -0,0 +1,902 @@
+/**
+ * Scoring Engine.
+ *
+ * Pure functions that derive the state of an innings from its delivery log.
+ * Recording, undoing and correcting a ball all replay the log through `replayInnings`,
+ * so the aggregates stored on `Innings` and `CricketPlayerStatus` are always the ones
+ * the recorded deliveries produce.
+ *
+ * @module scoringEngine
+ */
+
+import dismissals from '../../constant/dismissals.js';
+import matchPhases from '../../constant/matchPhases.js';
+
+/**
+ * Creates an error carrying the HTTP status the controller should respond with.
+ *
+ * @param {string} message - The error message.
+ * @param {number} [status=400] - The HTTP status code.
+ * @returns {Error} The error, with `status` set.
+ */
+export const scoringError = (message, status = 400) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Normalises an ObjectId, populated document or string to a string ID.
+ *
+ * @param {*} ref - The reference to normalise.
+ * @returns {string|null} The ID as a string, or `null` when empty.
+ */
+export const idOf = (ref) => (ref ? String(ref._id || ref) : null);
+
+/**
+ * Converts a count of legal balls to cricket notation, e.g. 20 balls of 6 is 3.2 overs.
+ *
+ * @param {number} balls - The number of legal balls.
+ * @param {number} [ballsPerOver=6] - The number of legal balls in an over.
+ * @returns {number} The overs in notation form.
+ */
+export const toOvers = (balls, ballsPerOver = 6) =>
+    Math.floor(balls / ballsPerOver) + (balls % ballsPerOver) / 10;
+
+/**
+ * Runs charged to the bowler for a delivery: runs off the bat plus wides and no-balls.
+ * Byes, leg byes and penalty runs are not the bowler's.
+ *
+ * @param {Object} delivery - The delivery.
+ * @returns {number} The runs conceded by the bowler.
+ */
+export const bowlerRuns = (delivery) => {
+    const extras = delivery.extras || {};
+    return (delivery.runs_off_bat || 0) + (extras.wides || 0) + (extras.no_balls || 0);
+};
+
+/**
+ * Returns a fresh set of statistics, shaped like `CricketPlayerStatus`.
+ *
+ * @returns {Object} Zeroed batting, bowling, fielding and dismissal blocks.
+ */
+export const emptyPlayerStats = () => ({
+    batting: {
+        runs: 0,
+        balls_faced: 0,
+        fours: 0,
+        sixes: 0,
+        out_type: null,
+        stricking_role: null,
+        retired: null,
+    },
+    bowling: {
+        runs_conceded: 0,
+        balls_bowled: 0,
+        dot_balls: 0,
+        maidens: 0,
+        wickets: 0,
+        extras_conceded: 0,
+        no_balls: 0,
+        wides: 0,
+    },
+    fielding: {
+        catches: 0,
+        stumpings: 0,
+        run_outs: 0,
+    },
+    dismissal: {
+        bowler_when_out: null,
+        wicket_taker: null,
+        dismissal_type: null,
+    },
+});
+
+const playerStats = (state, playerId) => {
+    if (!state.players[playerId]) {
+        state.players[playerId] = emptyPlayerStats();
+    }
+    return state.players[playerId];
+};
+
+const setStrikeRoles = (state) => {
+    if (state.striker) playerStats(state, state.striker).batting.stricking_role = 1;
+    if (state.nonStriker) playerStats(state, state.nonStriker).batting.stricking_role = 2;
+};
+
+const newOver = (number, bowler) => ({
+    number,
+    bowler,
+    runs: 0,
+    wickets: 0,
+    legal_balls: 0,
+    balls: [],
+    is_complete: false,
+    // Runs charged to the bowler (byes and leg byes excluded) and whether one bowler bowled
+    // every ball, used to detect maidens
+    runs_conceded: 0,
+    one_bowler: true,
+});
+
+const newPartnership = (wicket, batsmen) => ({
+    wicket,
+    batsmen,
+    runs: 0,
+    balls: 0,
+    extras: 0,
+    contributions: batsmen.map((player) => ({ player_id: player, runs: 0, balls: 0 })),
+});
+
+/**
+ * Starts a new partnership once the pair at the crease changes. Partnerships are numbered by the
+ * wicket they are for, so a batsman retiring starts a new partnership for the same wicket.
+ */
+const syncPartnership = (state) => {
+    const pair = [state.striker, state.nonStriker].filter(Boolean);
+    if (state.status === 'completed' || pair.length === 0) return;
+
+    const current = state.partnerships[state.partnerships.length - 1];
+    const samePair = current
+        && current.batsmen.length === pair.length
+        && pair.every((player) => current.batsmen.includes(player));
+    if (!samePair) {
+        state.partnerships.push(newPartnership(state.score.wickets + 1, pair));
+    }
+};
+
+/**
+ * The phase of the innings an over belongs to: the powerplay overs of the format, then the middle overs
+ * until the last `deathOvers` of the overs the innings is scheduled for.
+ *
+ * @param {number} over - The over, counting from 1.
+ * @param {Object} rules - The rules the innings is played under (see `getInningsRules`).
+ * @returns {string} One of `matchPhases`.
+ */
+export const phaseOf = (over, rules) => {
+    if (over <= (rules.powerplayOvers || 0)) return 'powerplay';
+
+    const scheduledOvers = Math.ceil(rules.maxBalls / rules.ballsPerOver);
+    if (rules.deathOvers && over > scheduledOvers - rules.deathOvers) return 'death';
+
+    return 'middle';
+};
+
+const addToPhase = (state, phase, { runs = 0, wickets = 0, balls = 0 }, rules) => {
+    const figures = state.phases[phase];
+    figures.runs += runs;
+    figures.wickets += wickets;
+    figures.balls += balls;
+    figures.overs = toOvers(figures.balls, rules.ballsPerOver);
+    figures.run_rate = figures.balls > 0
+        ? Math.round((figures.runs / figures.balls) * rules.ballsPerOver * 100) / 100
+        : 0;
+};
+
+/**
+ * Short notation for a delivery in the over summary, e.g. `4`, `W`, `1wd`, `2nb`, `1lb`.
+ */
+const ballSymbol = (delivery) => {
+    const extras = delivery.extras || {};
+    const runs = delivery.runs_off_bat || 0;
+
+    if (delivery.wicket && delivery.wicket.is_wicket) return 'W';
+    if (extras.wides) return `${extras.total}wd`;
+    if (extras.no_balls && extras.byes) return `nb+${extras.byes}b`;
+    if (extras.no_balls && extras.leg_byes) return `nb+${extras.leg_byes}lb`;
+    if (extras.no_balls) return runs > 0 ? `${runs}nb` : 'nb';
+    if (extras.byes) return `${extras.byes}b`;
+    if (extras.leg_byes) return `${extras.leg_byes}lb`;
+    return String(runs);
+};
+
+/**
+ * Runs the batsmen completed between the wickets on a delivery, which decide who takes strike.
+ * Boundaries are not run, and the penalty run of a wide or no-ball is not run either.
+ */
+const runsRun = (delivery) => {
+    if (typeof delivery.runs_run === 'number') return delivery.runs_run;
+    if (delivery.is_boundary) return 0;
+
+    const extras = delivery.extras || {};
+    const wideRuns = extras.wides ? extras.wides - 1 : 0;
+    return (delivery.runs_off_bat || 0) + (extras.byes || 0) + (extras.leg_byes || 0) + wideRuns;
+};
+
+/**
+ * The public part of an over, as stored in `Innings.current_over`.
+ *
+ * @param {Object} over - The over from the innings state.
+ * @returns {Object} The over number, bowler, runs, wickets, legal balls, ball notation and completion flag.
+ */
+export const overSummary = (over) => ({
+    number: over.number,
+    bowler: over.bowler,
+    runs: over.runs,
+    wickets: over.wickets,
+    legal_balls: over.legal_balls,
+    balls: [...over.balls],
+    is_complete: over.is_complete,
+});
+
+/**
+ * Checks that a bowler may bowl the next delivery: not the bowler of the previous over,
+ * and not already at the over limit for the innings.
+ *
+ * @param {Object} state - The innings state.
+ * @param {*} bowler - The bowler to check.
+ * @param {Object} rules - The rules the innings is played under.
+ * @throws {Error} With `status` 400 when the bowler is not allowed.
+ */
+export const assertCanBowl = (state, bowler, rules) => {
+    const bowlerId = idOf(bowler);
+
+    if (state.status === 'completed') {
+        throw scoringError('Cannot update a completed innings');
+    }
+
+    if (bowlerId && bowlerId === state.previousOverBowler) {
+        throw scoringError('The bowler of the previous over cannot bowl consecutive overs');
+    }
+
+    const ballsBowled = state.players[bowlerId] ? state.players[bowlerId].bowling.balls_bowled : 0;
+    if (rules.maxOversPerBowler && ballsBowled >= rules.maxOversPerBowler * rules.ballsPerOver) {
+        throw scoringError(`The bowler has already bowled the maximum of ${rules.maxOversPerBowler} overs`);
+    }
+};
+
+/**
+ * Creates the state of an innings before its first delivery.
+ *
+ * @param {Object} openers - The players the innings starts with.
+ * @param {*} openers.striker - The opening striker.
+ * @param {*} openers.nonStriker - The opening non-striker.
+ * @param {*} openers.bowler - The opening bowler.
+ * @returns {Object} The initial innings state.
+ */
+export const createInningsState = ({ striker, nonStriker, bowler }) => {
+    const state = {
+        score: {
+            runs: 0,
+            wickets: 0,
+            overs: 0,
+            balls: 0,
+            extras: {
+                wides: 0,
+                noBalls: 0,
+                byes: 0,
+                legByes: 0,
+                penalty_runs: 0,
+                total: 0,
+            },
+        },
+        striker: idOf(striker),
+        nonStriker: idOf(nonStriker),
+        bowler: idOf(bowler),
+        battingOrder: [],
+        // Runs and balls of each pair at the crease, and the score when each wicket fell
+        partnerships: [],
+        fallOfWickets: [],
+        // Runs, wickets and run rate of each phase of the innings
+        phases: Object.fromEntries(matchPhases.map((phase) => [
+            phase,
+            { runs: 0, wickets: 0, balls: 0, overs: 0, run_rate: 0 },
+        ])),
+        players: {},
+        currentOver: newOver(1, idOf(bowler)),
+        previousOverBowler: null,
+        // Set by a no-ball and cleared by the next legal delivery
+        freeHit: false,
+        commentary: [],
+        status: 'ongoing',
+        result: null,
+    };
+
+    setStrikeRoles(state);
+    syncPartnership(state);
+    if (state.bowler) playerStats(state, state.bowler);
+
+    return state;
+};
+
+/**
+ * The end of a batsman named when scoring, the striker's end when none is named.
+ */
+const endOf = (state, playerId, notAtCrease) => {
+    const named = idOf(playerId);
+    if (named && named !== state.striker && named !== state.nonStriker) {
+        throw scoringError(notAtCrease);
+    }
+    return named && named === state.nonStriker ? 'non_striker' : 'striker';
+};
+
+/**
+ * Works out who is out, and how, from the wicket of a delivery and checks the dismissal is possible.
+ * The dismissed batsman is recorded by end (`wicket.batter`) so a replay after an earlier correction
+ * still removes the batsman standing there; the `player_out_id` named when scoring is only used when
+ * no end is given.
+ */
+const resolveDismissal = (state, delivery, isBall) => {
+    const wicket = delivery.wicket || {};
+    const extras = delivery.extras || {};
+    const type = dismissals.TYPES.includes(wicket.dismissal_type) ? wicket.dismissal_type : 'other';
+    const label = type.replace(/_/g, ' ');
+
+    const batter = wicket.batter || endOf(state, wicket.player_out_id, 'The dismissed batsman is not at the crease');
+
+    if (batter === 'non_striker' && dismissals.STRIKER_ONLY.includes(type)) {
+        throw scoringError(`Only the striker can be out ${label}`);
+    }
+    if (isBall && dismissals.WITHOUT_DELIVERY.includes(type)) {
+        throw scoringError(`A batsman ${label} is recorded between deliveries, not off a ball`);
+    }
+    if (!isBall && !dismissals.WITHOUT_DELIVERY.includes(type)) {
+        throw scoringError(`A batsman can only be out ${label} off a delivery`);
+    }
+    if (isBall && state.freeHit && !dismissals.OFF_FREE_HIT.includes(type)) {
+        throw scoringError(`This delivery is a free hit: the batsman cannot be out ${label}`);
+    }
+    if (extras.wides && !dismissals.OFF_WIDE.includes(type)) {
+        throw scoringError(`A batsman cannot be out ${label} off a wide`);
+    }
+    if (extras.no_balls && !dismissals.OFF_NO_BALL.includes(type)) {
+        throw scoringError(`A batsman cannot be out ${label} off a no-ball`);
+    }
+
+    const playerOut = batter === 'non_striker' ? state.nonStriker : state.striker;
+    if (!playerOut) {
+        throw scoringError('The dismissed batsman is not at the crease');
+    }
+
+    return {
+        type,
+        batter,
+        playerOut,
+        fielders: (wicket.fielders || []).map(idOf).filter(Boolean),
+    };
+};
+
+/**
+ * Records a dismissal on the innings and the players involved. Only dismissals the bowler is
+ * responsible for count as the bowler's wicket; fielders are credited with catches, stumpings and run outs.
+ */
+const recordDismissal = (state, dismissal, bowler, isBall, rules) => {
+    const { type, playerOut, fielders } = dismissal;
+    const bowlerCredited = isBall && dismissals.BOWLER_CREDITED.includes(type);
+    const { score } = state;
+
+    score.wickets += 1;
+    state.battingOrder.push(playerOut);
+    state.fallOfWickets.push({
+        wicket: score.wickets,
+        runs: score.runs,
+        balls: score.balls,
+        overs: toOvers(score.balls, rules.ballsPerOver),
+        player_out: playerOut,
+    });
+
+    const outStats = playerStats(state, playerOut);
+    outStats.batting.out_type = type;
+    outStats.batting.stricking_role = 0;
+    outStats.dismissal.dismissal_type = type;
+    outStats.dismissal.bowler_when_out = bowlerCredited ? bowler : null;
+    outStats.dismissal.wicket_taker = bowlerCredited ? bowler : (type === 'run_out' && fielders[0]) || null;
+
+    if (bowlerCredited) playerStats(state, bowler).bowling.wickets += 1;
+
+    if (type === 'caught' && fielders[0]) {
+        playerStats(state, fielders[0]).fielding.catches += 1;
+    } else if (type === 'stumped' && fielders[0]) {
+        playerStats(state, fielders[0]).fielding.stumpings += 1;
+    } else if (type === 'run_out') {
+        fielders.forEach((fielder) => {
+            playerStats(state, fielder).fielding.run_outs += 1;
+        });
+    }
+};
+
+/**
+ * Under last man stands, the last batsman carries on alone once every partner is out.
+ */
+const lastManStanding = (state, rules) =>
+    Boolean(rules.lastManStands) && state.score.wickets >= rules.playersPerSide - 1;
+
+/**
+ * Fills the end left empty by a dismissal or retirement. Without an explicit strike role the incoming
+ * batsman takes the end that was left. A batsman who retired earlier resumes their innings.
+ */
+const bringInNextBatsman = (state, delivery, rules) => {
+    const nextBatsman = idOf(delivery.next_batsman && delivery.next_batsman.player_id);
+    const survivor = state.striker || state.nonStriker;
+
+    if (!nextBatsman && lastManStanding(state, rules)) {
+        state.striker = survivor;
+        state.nonStriker = null;
+        setStrikeRoles(state);
+        return;
+    }
+
+    if (!nextBatsman) {
+        throw scoringError('Next batsman ID must be provided when a wicket falls');
+    }
+
+    if (nextBatsman === survivor || state.battingOrder.includes(nextBatsman)) {
+        throw scoringError('Next batsman has already batted in this innings');
+    }
+
+    const strikeRole = delivery.next_batsman && delivery.next_batsman.strike_role;
+    if (strikeRole) {
+        state.striker = strikeRole === 1 ? nextBatsman : survivor;
+        state.nonStriker = strikeRole === 1 ? survivor : nextBatsman;
+    } else if (!state.striker) {
+        state.striker = nextBatsman;
+    } else {
+        state.nonStriker = nextBatsman;
+    }
+    playerStats(state, nextBatsman).batting.retired = null;
+    setStrikeRoles(state);
+};
+
+/**
+ * Decides whether the innings is over and, if so, what it means for the match.
+ *
+ * An innings before the last one sets the target when `rules.setsTarget` (adding the `lead` its side
+ * already has), or loses the match by an innings when its side is still behind; the other innings only
+ * report the lead. A chase decided `onParScore` (play could not resume) is judged once the log ends,
+ * so reaching the target along the way does not end it, and a `drawable` chase that neither reaches
+ * the target nor loses every wicket is a draw.
+ *
+ * A win carries its margin: the runs the defending side won by, or the wickets in hand and the balls
+ * remaining when the chasing side wins.
+ */
+const evaluateCompletion = (state, rules, over, ball, closing = false) => {
+    const { score } = state;
+    const chasing = rules.chasing && rules.target;
+    const wicketsInHand = rules.maxWickets - score.wickets;
+    const battingTeam = rules.battingTeamName || rules.battingTeamId;
+    const bowlingTeam = rules.bowlingTeamName || rules.bowlingTeamId;
+
+    let completed = closing;
+    if (chasing && !rules.onParScore && score.runs >= rules.target) {
+        completed = true;
+    } else if (score.balls >= rules.maxBalls || score.wickets >= rules.maxWickets) {
+        completed = true;
+    }
+
+    if (!completed) return;
+
+    state.status = 'completed';
+
+    const viaSuperOver = rules.superOver ? ' in the super over' : '';
+    const declared = rules.declared ? `${battingTeam} declared at ${score.runs}/${score.wickets}. ` : '';
+    let description;
+    if (!chasing) {
+        const lead = score.runs + (rules.lead || 0);
+        if (rules.setsTarget && lead < 0) {
+            state.result = { winner: rules.bowlingTeamId, tie: false, margin: { runs: -lead, innings: true } };
+            description = `${declared}${bowlingTeam} wins the match by an innings and ${-lead} runs!`;
+        } else if (rules.setsTarget) {
+            state.result = { target: lead + 1 };
+            description = rules.superOver
+                ? `Super over ${rules.superOver} completed. Target is ${lead + 1} runs.`
+                : `${declared}Innings ${rules.inningsNumber} completed. Target for Innings ${rules.inningsNumber + 1} is ${lead + 1} runs.`;
+        } else {
+            state.result = { target: null, lead };
+            let standing = `${battingTeam} ${lead > 0 ? 'lead' : 'trail'} by ${Math.abs(lead)} runs.`;
+            if (lead === 0) standing = 'The scores are level.';
+            description = `${declared}Innings ${rules.inningsNumber} completed. ${standing}`;
+        }
+    } else if (rules.onParScore) {
+        // The par score is one run short of the target
+        const par = rules.target - 1;
+        if (score.runs === par) {
+            state.result = { winner: null, tie: true };
+            description = `The match is tied on the par score of ${par} runs.`;
+        } else {
+            const battingWins = score.runs > par;
+            const winner = battingWins ? rules.battingTeamId : rules.bowlingTeamId;
+            const margin = battingWins ? { wickets: wicketsInHand } : { runs: par - score.runs };
+            state.result = { winner, tie: false, margin };
+            description = `${battingWins ? battingTeam : bowlingTeam} wins the match on the par score of ${par} runs!`;
+        }
+    } else if (score.runs >= rules.target) {
+        const margin = { wickets: wicketsInHand, balls_remaining: Math.max(rules.maxBalls - score.balls, 0) };
+        state.result = { winner: rules.battingTeamId, tie: false, margin };
+        description = `${battingTeam} has reached the target and wins the match${viaSuperOver}!`;
+    } else if (rules.drawable && wicketsInHand > 0) {
+        state.result = { winner: null, tie: false, draw: true };
+        description = `The match is drawn. ${battingTeam} finished ${rules.target - score.runs} runs short with ${wicketsInHand} wickets in hand.`;
+    } else if (score.runs === rules.target - 1) {
+        state.result = { winner: null, tie: true };
+        description = rules.superOver
+            ? `Super over ${rules.superOver} is tied! Both teams have scored ${score.runs} runs.`
+            : `The match is tied! Both teams have scored ${score.runs} runs.`;
+    } else {
+        state.result = { winner: rules.bowlingTeamId, tie: false, margin: { runs: rules.target - 1 - score.runs } };
+        description = `${bowlingTeam} wins the match${viaSuperOver}!`;
+    }
+
+    state.commentary.push({ over, ball, description, timestamp: new Date() });
+};
+
+/**
+ * Applies a dismissal that happens between deliveries, such as retired out or timed out.
+ * No ball is used up and the bowler is not credited.
+ */
+const applyDismissalEvent = (state, delivery, rules) => {
+    const { score } = state;
+    const striker = state.striker;
+    const nonStriker = state.nonStriker;
+    const over = Math.floor(score.balls / rules.ballsPerOver) + 1;
+    const ball = (score.balls % rules.ballsPerOver) + 1;
+    const phase = phaseOf(over, rules);
+    const dismissal = resolveDismissal(state, delivery, false);
+
+    recordDismissal(state, dismissal, state.bowler, false, rules);
+    addToPhase(state, phase, { wickets: 1 }, rules);
+    if (dismissal.batter === 'non_striker') {
+        state.nonStriker = null;
+    } else {
+        state.striker = null;
+    }
+
+    state.commentary.push({
+        over,
+        ball,
+        description: delivery.commentary || '',
+        timestamp: delivery.timestamp || new Date(),
+    });
+
+    evaluateCompletion(state, rules, over, ball);
+
+    if (state.status !== 'completed') {
+        bringInNextBatsman(state, delivery, rules);
+    }
+    syncPartnership(state);
+
+    return {
+        over,
+        ball,
+        bowler: state.bowler,
+        striker,
+        non_striker: nonStriker,
+        player_out: dismissal.playerOut,
+        batter: dismissal.batter,
+        is_free_hit: false,
+        phase,
+        completed_over: null,
+    };
+};
+
+/**
+ * Applies a batsman retiring hurt or not out between deliveries. It is not a wicket: the batsman
+ * keeps their figures and can come back in later in place of a dismissed or retiring batsman.
+ */
+const applyRetirement = (state, delivery, rules) => {
+    const { score } = state;
+    const striker = state.striker;
+    const nonStriker = state.nonStriker;
+    const over = Math.floor(score.balls / rules.ballsPerOver) + 1;
+    const ball = (score.balls % rules.ballsPerOver) + 1;
+    const retirement = delivery.retirement || {};
+    const batter = retirement.batter || endOf(state, retirement.player_id, 'The retiring batsman is not at the crease');
+    const player = batter === 'non_striker' ? nonStriker : striker;
+
+    const stats = playerStats(state, player);
+    stats.batting.retired = retirement.reason || 'retired_hurt';
+    stats.batting.stricking_role = null;
+    if (batter === 'non_striker') {
+        state.nonStriker = null;
+    } else {
+        state.striker = null;
+    }
+
+    state.commentary.push({
+        over,
+        ball,
+        description: delivery.commentary || '',
+        timestamp: delivery.timestamp || new Date(),
+    });
+
+    bringInNextBatsman(state, delivery, rules);
+    syncPartnership(state);
+
+    return {
+        over,
+        ball,
+        bowler: state.bowler,
+        striker,
+        non_striker: nonStriker,
+        player_out: null,
+        batter: 'striker',
+        retirement: { batter, player },
+        is_free_hit: false,
+        phase: phaseOf(over, rules),
+        completed_over: null,
+    };
+};
+
+/**
+ * Adds penalty runs to the innings score. They are extras, credited to neither batsman nor bowler.
+ */
+const addPenaltyRuns = (state, runs) => {
+    const { score } = state;
+    score.runs += runs;
+    score.extras.penalty_runs += runs;
+    score.extras.total += runs;
+};
+
+/**
+ * Applies penalty runs the umpires award between deliveries. Runs to the batting side count towards this
+ * innings straight away; runs to the fielding side count towards one of its own innings (see
+ * `rules.penaltyRuns`) and are only noted in this one's commentary.
+ */
+const applyPenalty = (state, delivery, rules) => {
+    const { score } = state;
+    const over = Math.floor(score.balls / rules.ballsPerOver) + 1;
+    const ball = (score.balls % rules.ballsPerOver) + 1;
+    const penalty = delivery.penalty || {};
+
+    if (penalty.awarded_to === 'batting') {
+        addPenaltyRuns(state, penalty.runs);
+    }
+
+    state.commentary.push({
+        over,
+        ball,
+        description: delivery.commentary || '',
+        timestamp: delivery.timestamp || new Date(),
+    });
+
+    // Penalty runs can take the batting side past its target
+    evaluateCompletion(state, rules, over, ball);
+
+    return {
+        over,
+        ball,
+        bowler: state.bowler,
+        striker: state.striker,
+        non_striker: state.nonStriker,
+        player_out: null,
+        batter: 'striker',
+        is_free_hit: false,
+        phase: phaseOf(over, rules),
+        completed_over: null,
+    };
+};
+
+/**
+ * Applies a single delivery to the innings state.
+ *
+ * The delivery's recorded inputs (bowler, runs off the bat, extras, wicket and next batsman)
+ * drive the update; its position and the batsmen at the crease are derived from the state
+ * and returned so the stored delivery can be kept in step.
+ *
+ * @param {Object} state - The innings state, mutated in place.
+ * @param {Object} delivery - The recorded delivery.
+ * @param {Object} rules - The rules the innings is played under (see `getInningsRules`).
+ * @returns {Object} The derived `over`, `ball`, `bowler`, `striker`, `non_striker`, `player_out`, `batter`,
+ *          `is_free_hit` and `phase`,
+ *          plus a summary of the over when this delivery completed it.
+ * @throws {Error} With `status` 400 when the delivery cannot follow the current state.
+ */
+export const applyDelivery = (state, delivery, rules) => {
+    if (state.status === 'completed') {
+        throw scoringError('Cannot update a completed innings');
+    }
+
+    const { score } = state;
+    const bowler = idOf(delivery.bowler) || state.bowler;
+    const striker = state.striker;
+    const nonStriker = state.nonStriker;
+
+    if (!bowler) {
+        throw scoringError('Bowler not found');
+    }
+
+    if (!striker || (!nonStriker && !lastManStanding(state, rules))) {
+        const missingPlayers = [];
+        if (!striker) missingPlayers.push('Striker');
+        if (!nonStriker) missingPlayers.push('Non-striker');
+        throw scoringError(`${missingPlayers.join(' and ')} not found`);
+    }
+
+    if (delivery.kind === 'dismissal') {
+        return applyDismissalEvent(state, delivery, rules);
+    }
+    if (delivery.kind === 'retirement') {
+        return applyRetirement(state, delivery, rules);
+    }
+    if (delivery.kind === 'penalty') {
+        return applyPenalty(state, delivery, rules);
+    }
+
+    // A new over, or a change of bowler mid-over, must follow the bowling rules
+    if (state.currentOver.is_complete || bowler !== state.bowler) {
+        assertCanBowl(state, bowler, rules);
+    }
+    if (state.currentOver.is_complete) {
+        state.currentOver = newOver(state.currentOver.number + 1, bowler);
+    }
+
+    const over = Math.floor(score.balls / rules.ballsPerOver) + 1;
+    const ball = (score.balls % rules.ballsPerOver) + 1;
+    const isLegal = delivery.is_legal !== false;
+    const runs = delivery.runs_off_bat || 0;
+    const extras = delivery.extras || {};
+    const extrasTotal = extras.total || 0;
+    const wicket = delivery.wicket || {};
+    const isFreeHit = state.freeHit;
+    const phase = phaseOf(over, rules);
+    const dismissal = wicket.is_wicket ? resolveDismissal(state, delivery, true) : null;
+
+    state.bowler = bowler;
+
+    const { currentOver } = state;
+    if (currentOver.bowler && currentOver.bowler !== bowler) currentOver.one_bowler = false;
+    currentOver.bowler = bowler;
+    currentOver.runs += runs + extrasTotal;
+    currentOver.runs_conceded += bowlerRuns(delivery);
+    currentOver.balls.push(ballSymbol(delivery));
+    if (isLegal) currentOver.legal_balls += 1;
+
+    // Innings score
+    score.runs += runs + extrasTotal;
+    score.extras.total += extrasTotal;
+    score.extras.wides += extras.wides || 0;
+    score.extras.noBalls += extras.no_balls || 0;
+    score.extras.byes += extras.byes || 0;
+    score.extras.legByes += extras.leg_byes || 0;
+    score.extras.penalty_runs += extras.penalty || 0;
+
+    addToPhase(state, phase, {
+        runs: runs + extrasTotal,
+        wickets: dismissal ? 1 : 0,
+        balls: isLegal ? 1 : 0,
+    }, rules);
+
+    // The partnership at the crease, and the striker's share of it
+    const partnership = state.partnerships[state.partnerships.length - 1];
+    partnership.runs += runs + extrasTotal;
+    partnership.extras += extrasTotal;
+    if (isLegal) partnership.balls += 1;
+    const contribution = partnership.contributions.find((share) => share.player_id === striker);
+    contribution.runs += runs;
+    if (!extras.wides) contribution.balls += 1;
+
+    // Striker's figures
+    const strikerStats = playerStats(state, striker);
+    strikerStats.batting.runs += runs;
+    // A no-ball counts as a ball faced, a wide does not
+    if (!extras.wides) strikerStats.batting.balls_faced += 1;
+    if (delivery.is_boundary && runs === 4) strikerStats.batting.fours += 1;
+    if (delivery.is_boundary && runs === 6) strikerStats.batting.sixes += 1;
+
+    // Bowler's figures
+    const bowlerStats = playerStats(state, bowler);
+    bowlerStats.bowling.runs_conceded += bowlerRuns(delivery);
+    bowlerStats.bowling.extras_conceded += (extras.wides || 0) + (extras.no_balls || 0);
+    if (isLegal) bowlerStats.bowling.balls_bowled += 1;
+    if (isLegal && bowlerRuns(delivery) === 0) bowlerStats.bowling.dot_balls += 1;
+    if (extras.wides) bowlerStats.bowling.wides += 1;
+    if (extras.no_balls) bowlerStats.bowling.no_balls += 1;
+
+    if (isLegal) {
+        score.balls += 1;
+        score.overs = toOvers(score.balls, rules.ballsPerOver);
+    }
+    const endsOver = isLegal && score.balls % rules.ballsPerOver === 0;
+
+    // Ends of the batsmen after the runs they completed; a dismissal leaves its end empty
+    let ends = [striker, nonStriker];
+    if (runsRun(delivery) % 2 !== 0) ends.reverse();
+
+    const playerOut = dismissal ? dismissal.playerOut : null;
+    if (dismissal) {
+        recordDismissal(state, dismissal, bowler, true, rules);
+        currentOver.wickets += 1;
+
+        if (dismissal.type === 'caught') {
+            // The incoming batsman takes strike after a catch, whether or not the batsmen crossed
+            ends = [null, ends.find((player) => player !== playerOut)];
+        } else {
+            if (wicket.crossed) ends.reverse();
+            ends = ends.map((player) => (player === playerOut ? null : player));
+        }
+    }
+
+    // Strike changes again at the end of the over
+    if (endsOver) ends.reverse();
+    [state.striker, state.nonStriker] = ends;
+    // The last man standing faces every ball
+    if (!nonStriker && !playerOut) {
+        [state.striker, state.nonStriker] = [striker, null];
+    }
+    setStrikeRoles(state);
+
+    // At the end of the over, record a maiden and wait for the next bowler
+    let completedOver = null;
+    if (endsOver) {
+        currentOver.is_complete = true;
+        if (currentOver.one_bowler && currentOver.runs_conceded === 0) {
+            bowlerStats.bowling.maidens += 1;
+        }
+        state.previousOverBowler = bowler;
+        completedOver = {
+            ...overSummary(currentOver),
+            maiden: currentOver.one_bowler && currentOver.runs_conceded === 0,
+        };
+    }
+
+    // A no-ball makes the next delivery a free hit, which carries over wides and further no-balls
+    if (extras.no_balls) {
+        state.freeHit = true;
+    } else if (isLegal) {
+        state.freeHit = false;
+    }
+
+    let description = delivery.commentary || '';
+    if (isFreeHit) description = `FREE HIT: ${description}`;
+    if (extras.no_balls) description = `${description.replace(/\.?$/, '.')} Next ball is a FREE HIT.`;
+
+    state.commentary.push({
+        over,
+        ball,
+        description,
+        timestamp: delivery.timestamp || new Date(),
+    });
+
+    evaluateCompletion(state, rules, over, ball);
+
+    // Bring in the next batsman unless the wicket ended the innings
+    if (playerOut && state.status !== 'completed') {
+        bringInNextBatsman(state, delivery, rules);
+    }
+    syncPartnership(state);
+
+    return {
+        over,
+        ball,
+        bowler,
+        striker,
+        non_striker: nonStriker,
+        player_out: playerOut,
+        batter: dismissal ? dismissal.batter : 'striker',
+        is_free_hit: isFreeHit,
+        phase,
+        completed_over: completedOver,
+    };
+};
+
+/**
+ * Replays a delivery log from the start of the innings.
+ *
+ * @param {Object} params
+ * @param {Object} params.openers - The opening striker, non-striker and bowler.
+ * @param {Array<Object>} params.deliveries - The deliveries, in bowling order.
+ * @param {Object} params.rules - The rules the innings is played under.
+ * @returns {{ state: Object, annotations: Array<Object> }} The final state and the derived fields of each delivery.
+ * @throws {Error} With `status` 400 naming the first delivery that cannot be applied.
+ */
+export const replayInnings = ({ openers, deliveries, rules }) => {
+    const state = createInningsState(openers);
+    // Penalty runs awarded to this side while it was fielding
+    if (rules.penaltyRuns) addPenaltyRuns(state, rules.penaltyRuns);
+
+    const annotations = deliveries.map((delivery, index) => {
+        try {
+            return applyDelivery(state, delivery, rules);
+        } catch (error) {
+            error.message = `Delivery ${index + 1}: ${error.message}`;
+            throw error;
+        }
+    });
+
+    // An innings closed early, when its side declares or play cannot resume, is over wherever its log stops
+    if (rules.closed && state.status !== 'completed') {
+        const over = Math.max(Math.ceil(state.score.balls / rules.ballsPerOver), 1);
+        const ball = state.score.balls - (over - 1) * rules.ballsPerOver;
+        evaluateCompletion(state, rules, over, ball, true);
+    }
+
+    return { state, annotations };
+};
@@ -0,0 +1,156 @@
+/**
+ * Scoring Lease Service.
+ *
+ * Only one admin scores a match at a time. The admin holding the scoring lease of a match is the only
+ * one who can record its toss, innings, interruptions and result; the lease lapses once the scorer has
+ * been inactive for a while, and a super_admin can hand it over at any time.
+ *
+ * @module scoringLeaseService
+ */
+
+import { Admin } from '../../db/model/index.js';
+import { scoringError } from './scoringEngine.js';
+
+// How long a scorer can go without changing the match before another admin can take over
+export const SCORING_LEASE_TIMEOUT_MS = 10 * 60 * 1000;
+
+const isActive = (match, now = new Date()) => Boolean(
+    match.scorer
+    && match.scorer.username
+    && match.scorer.last_active_at
+    && now - match.scorer.last_active_at < SCORING_LEASE_TIMEOUT_MS,
+);
+
+/**
+ * Describes the scoring lease of a match.
+ *
+ * @param {Object} match - The match document.
+ * @returns {Object|null} The `username` of the scorer, when they claimed the lease, when they were last
+ *          active and when the lease expires, or `null` when nobody holds it.
+ */
+export const getScoringLease = (match) => {
+    if (!isActive(match)) return null;
+
+    return {
+        username: match.scorer.username,
+        claimed_at: match.scorer.claimed_at,
+        last_active_at: match.scorer.last_active_at,
+        expires_at: new Date(match.scorer.last_active_at.getTime() + SCORING_LEASE_TIMEOUT_MS),
+    };
+};
+
+const grant = async (session, match, username) => {
+    const now = new Date();
+    match.scorer = { username, claimed_at: now, last_active_at: now };
+    await match.save({ session });
+    return getScoringLease(match);
+};
+
+const heldByOther = (match, username) => isActive(match) && match.scorer.username !== username;
+
+const conflict = (match) => scoringError(`${match.scorer.username} is scoring this match`, 409);
+
+/**
+ * Claims the scoring lease of a match for an admin: one nobody holds, one that expired, or the admin's
+ * own, which is renewed.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {Object} params.user - The admin, from their token.
+ * @returns {Promise<Object>} The lease (see `getScoringLease`).
+ * @throws {Error} With `status` 409 when another admin holds the lease.
+ */
+export const claimScoringLease = async (session, { match, user }) => {
+    if (['completed', 'cancelled', 'abandoned'].includes(match.status)) {
+        throw scoringError('The match is over');
+    }
+    if (heldByOther(match, user.username)) {
+        throw conflict(match);
+    }
+
+    return grant(session, match, user.username);
+};
+
+/**
+ * Releases the scoring lease of a match so another admin can claim it. Only the scorer or a super_admin
+ * can release it.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {Object} params.user - The admin, from their token.
+ * @returns {Promise<void>}
+ * @throws {Error} With `status` 409 when another admin holds the lease.
+ */
+export const releaseScoringLease = async (session, { match, user }) => {
+    if (heldByOther(match, user.username) && user.role !== 'super_admin') {
+        throw conflict(match);
+    }
+
+    match.scorer = { username: null, claimed_at: null, last_active_at: null };
+    await match.save({ session });
+};
+
+/**
+ * Hands the scoring lease of a match to an admin, whoever holds it now. Only a super_admin can do so.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {Object} params.user - The super_admin, from their token.
+ * @param {string} [params.username] - The admin to hand the lease to; the super_admin when not given.
+ * @returns {Promise<Object>} The lease (see `getScoringLease`).
+ * @throws {Error} With `status` 403 for anyone but a super_admin and 404 when the admin does not exist.
+ */
+export const handOverScoringLease = async (session, { match, user, username = null }) => {
+    if (user.role !== 'super_admin') {
+        throw scoringError('Only a super_admin can hand over scoring', 403);
+    }
+
+    const scorer = username || user.username;
+    const admin = await Admin.findOne({ username: scorer }).select('username').session(session).lean().exec();
+    if (!admin) {
+        throw scoringError('Admin not found', 404);
+    }
+
+    return grant(session, match, admin.username);
+};
+
+/**
+ * Checks that no other admin is scoring a match, without claiming its scoring lease.
+ *
+ * @param {Object} match - The match document.
+ * @param {Object} user - The admin, from their token.
+ * @throws {Error} With `status` 409 when another admin holds the lease.
+ */
+export const assertNotScoredByOther = (match, user) => {
+    if (heldByOther(match, user.username)) {
+        throw conflict(match);
+    }
+};
+
+/**
+ * Checks that an admin can score a match, before any change is made: they hold its
+ * scoring lease, which is renewed, or nobody does and they claim it.
+ *
+ * @param {ClientSession} session - The transaction session.
+ * @param {Object} params
+ * @param {Object} params.match - The match document.
+ * @param {Object} params.user - The admin, from their token.
+ * @returns {Promise<void>}
+ * @throws {Error} With `status` 409 when another admin holds the lease.
+ */
+export const holdScoringLease = async (session, { match, user }) => {
+    if (heldByOther(match, user.username)) {
+        throw conflict(match);
+    }
+
+    if (isActive(match)) {
+        match.scorer.last_active_at = new Date();
+        await match.save({ session });
+        return;
+    }
+
+    await grant(session, match, user.username);
+};
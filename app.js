@@ -13,6 +13,8 @@ const app = express();
 const corsOptions = {
     origin: ['http://localhost:3000', 'https://acethletics.aceec.ac.in', 'https://acethletics-server.onrender.com'],
     credentials: true,
+    // Marks a response replayed for a retried request with the same Idempotency-Key
+    exposedHeaders: ['Idempotent-Replayed'],
 };
 
 app.use(cors(corsOptions));
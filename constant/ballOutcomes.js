@@ -1,3 +1,10 @@
+/**
+ * Shortcut outcomes for the ball update endpoint.
+ *
+ * `runs` are the runs off the bat and `extras` the total extras of the delivery, including the
+ * one-run penalty of a wide or no-ball. `extra_type` names the extras bucket the extras belong to
+ * and `boundary` marks runs that reached the boundary rather than being run.
+ */
 const ballOutcomes = Object.freeze({
   dot: Object.freeze({
     runs: 0,
@@ -30,6 +37,7 @@ const ballOutcomes = Object.freeze({
   four: Object.freeze({
     runs: 4,
     extras: 0,
+    boundary: true,
     is_wicket: false,
     description: 'Four runs (boundary)',
     ball_counts: true,
@@ -37,6 +45,7 @@ const ballOutcomes = Object.freeze({
   six: Object.freeze({
     runs: 6,
     extras: 0,
+    boundary: true,
     is_wicket: false,
     description: 'Six runs scored',
     ball_counts: true,
@@ -93,6 +102,7 @@ const ballOutcomes = Object.freeze({
   wide: Object.freeze({
     runs: 0,
     extras: 1,
+    extra_type: 'wide',
     is_wicket: false,
     description: 'Wide ball',
     ball_counts: false,
@@ -100,6 +110,7 @@ const ballOutcomes = Object.freeze({
   no_ball: Object.freeze({
     runs: 0,
     extras: 1,
+    extra_type: 'no_ball',
     is_wicket: false,
     description: 'No ball',
     ball_counts: false,
@@ -113,7 +124,8 @@ const ballOutcomes = Object.freeze({
   }),
   bye: Object.freeze({
     runs: 0,
-    extras: 0,
+    extras: 1,
+    extra_type: 'bye',
     is_wicket: false,
     description: 'Bye run',
     ball_counts: true,
@@ -121,6 +133,7 @@ const ballOutcomes = Object.freeze({
   leg_bye: Object.freeze({
     runs: 0,
     extras: 1,
+    extra_type: 'leg_bye',
     is_wicket: false,
     description: 'Leg bye run',
     ball_counts: true,
@@ -128,6 +141,8 @@ const ballOutcomes = Object.freeze({
   noball_plus_4: Object.freeze({
     runs: 4,
     extras: 1,
+    extra_type: 'no_ball',
+    boundary: true,
     is_wicket: false,
     description: 'No ball + 4 runs off the bat',
     ball_counts: false,
@@ -135,27 +150,33 @@ const ballOutcomes = Object.freeze({
   no_ball_plus_6: Object.freeze({
     runs: 6,
     extras: 1,
+    extra_type: 'no_ball',
+    boundary: true,
     is_wicket: false,
     description: 'No ball + 6 runs off the bat',
     ball_counts: false,
   }),
   wide_plus_4: Object.freeze({
-    runs: 4,
-    extras: 1,
+    runs: 0,
+    extras: 5,
+    extra_type: 'wide',
+    boundary: true,
     is_wicket: false,
-    description: 'Wide ball + 4 runs',
+    description: 'Wide ball + 4 wides to the boundary',
     ball_counts: false,
   }),
   bye_plus_1: Object.freeze({
     runs: 0,
     extras: 1,
+    extra_type: 'bye',
     is_wicket: false,
     description: '1 run bye',
     ball_counts: true,
   }),
   leg_bye_plus_1: Object.freeze({
-    runs: 1,
+    runs: 0,
     extras: 1,
+    extra_type: 'leg_bye',
     is_wicket: false,
     description: '1 run leg bye',
     ball_counts: true,
@@ -0,0 +1,31 @@
+/**
+ * Ways a batsman can be dismissed, and what each one means for the scorer.
+ */
+const TYPES = Object.freeze([
+    'caught',
+    'bowled',
+    'run_out',
+    'stumped',
+    'lbw',
+    'hit_wicket',
+    'obstructing_the_field',
+    'retired_out',
+    'timed_out',
+    'other',
+]);
+
+export default Object.freeze({
+    TYPES,
+    // Credited to the bowler as a wicket
+    BOWLER_CREDITED: Object.freeze(['caught', 'bowled', 'stumped', 'lbw', 'hit_wicket']),
+    // Only the striker can be out this way; the rest can dismiss the batsman at either end
+    STRIKER_ONLY: Object.freeze(['caught', 'bowled', 'stumped', 'lbw', 'hit_wicket']),
+    // Happen between deliveries rather than off a ball
+    WITHOUT_DELIVERY: Object.freeze(['retired_out', 'timed_out']),
+    // Still possible off a wide, a no-ball or a free hit
+    OFF_WIDE: Object.freeze(['stumped', 'run_out', 'hit_wicket', 'obstructing_the_field', 'other']),
+    OFF_NO_BALL: Object.freeze(['run_out', 'obstructing_the_field', 'other']),
+    OFF_FREE_HIT: Object.freeze(['run_out', 'obstructing_the_field', 'other']),
+    // Leaving the crease without being out; the batsman may resume the innings later
+    RETIREMENTS: Object.freeze(['retired_hurt', 'retired_not_out']),
+});
@@ -0,0 +1,71 @@
+/**
+ * Resources table for revising targets in rain-affected matches, in the style of the
+ * Duckworth-Lewis-Stern Standard Edition.
+ *
+ * `TABLE[overs][wickets]` is the percentage of the run-scoring resources of a full 50-over innings
+ * that a side still has with that many overs left and that many wickets lost. Shorter formats start
+ * from the row of their overs, e.g. a 20-over innings starts with 56.6%.
+ */
+const TABLE = Object.freeze([
+    // One row per over left, from 0 to 50; one column per wicket lost, from 0 to 9
+    Object.freeze([  0.0,   0.0,   0.0,   0.0,   0.0,   0.0,   0.0,   0.0,   0.0,   0.0]), // 0 overs left
+    Object.freeze([  3.6,   3.6,   3.6,   3.6,   3.6,   3.5,   3.5,   3.4,   3.2,   2.6]), // 1 over left
+    Object.freeze([  7.2,   7.1,   7.1,   7.0,   7.0,   6.8,   6.6,   6.3,   5.5,   3.7]), // 2 overs left
+    Object.freeze([ 10.6,  10.5,  10.5,  10.3,  10.2,   9.9,   9.5,   8.7,   7.2,   4.3]), // 3 overs left
+    Object.freeze([ 13.9,  13.8,  13.7,  13.5,  13.2,  12.8,  12.0,  10.7,   8.4,   4.5]), // 4 overs left
+    Object.freeze([ 17.2,  17.0,  16.8,  16.5,  16.1,  15.4,  14.3,  12.5,   9.4,   4.6]), // 5 overs left
+    Object.freeze([ 20.3,  20.1,  19.8,  19.4,  18.8,  17.9,  16.4,  13.9,  10.0,   4.7]), // 6 overs left
+    Object.freeze([ 23.4,  23.1,  22.7,  22.2,  21.4,  20.2,  18.2,  15.2,  10.5,   4.7]), // 7 overs left
+    Object.freeze([ 26.4,  26.1,  25.6,  24.8,  23.8,  22.3,  19.9,  16.2,  10.9,   4.7]), // 8 overs left
+    Object.freeze([ 29.3,  28.9,  28.3,  27.4,  26.1,  24.3,  21.4,  17.1,  11.2,   4.7]), // 9 overs left
+    Object.freeze([ 32.2,  31.6,  30.9,  29.8,  28.3,  26.1,  22.8,  17.9,  11.4,   4.7]), // 10 overs left
+    Object.freeze([ 34.9,  34.3,  33.4,  32.1,  30.4,  27.8,  24.0,  18.5,  11.5,   4.7]), // 11 overs left
+    Object.freeze([ 37.6,  36.8,  35.8,  34.4,  32.3,  29.4,  25.1,  19.0,  11.6,   4.7]), // 12 overs left
+    Object.freeze([ 40.2,  39.3,  38.2,  36.5,  34.2,  30.9,  26.1,  19.5,  11.7,   4.7]), // 13 overs left
+    Object.freeze([ 42.7,  41.8,  40.4,  38.6,  35.9,  32.2,  27.0,  19.9,  11.7,   4.7]), // 14 overs left
+    Object.freeze([ 45.2,  44.1,  42.6,  40.5,  37.6,  33.5,  27.8,  20.2,  11.8,   4.7]), // 15 overs left
+    Object.freeze([ 47.6,  46.4,  44.7,  42.4,  39.2,  34.7,  28.5,  20.5,  11.8,   4.7]), // 16 overs left
+    Object.freeze([ 50.0,  48.6,  46.7,  44.2,  40.7,  35.8,  29.2,  20.7,  11.8,   4.7]), // 17 overs left
+    Object.freeze([ 52.2,  50.7,  48.7,  45.9,  42.1,  36.8,  29.8,  20.9,  11.9,   4.7]), // 18 overs left
+    Object.freeze([ 54.4,  52.8,  50.6,  47.5,  43.4,  37.8,  30.3,  21.1,  11.9,   4.7]), // 19 overs left
+    Object.freeze([ 56.6,  54.8,  52.4,  49.1,  44.7,  38.6,  30.8,  21.2,  11.9,   4.7]), // 20 overs left
+    Object.freeze([ 58.7,  56.8,  54.1,  50.6,  45.8,  39.5,  31.2,  21.3,  11.9,   4.7]), // 21 overs left
+    Object.freeze([ 60.7,  58.6,  55.8,  52.1,  47.0,  40.2,  31.6,  21.4,  11.9,   4.7]), // 22 overs left
+    Object.freeze([ 62.7,  60.5,  57.5,  53.4,  48.0,  40.9,  31.9,  21.5,  11.9,   4.7]), // 23 overs left
+    Object.freeze([ 64.6,  62.2,  59.0,  54.8,  49.1,  41.6,  32.3,  21.6,  11.9,   4.7]), // 24 overs left
+    Object.freeze([ 66.5,  64.0,  60.6,  56.0,  50.0,  42.2,  32.5,  21.7,  11.9,   4.7]), // 25 overs left
+    Object.freeze([ 68.3,  65.6,  62.0,  57.2,  50.9,  42.8,  32.8,  21.7,  11.9,   4.7]), // 26 overs left
+    Object.freeze([ 70.1,  67.2,  63.4,  58.4,  51.8,  43.3,  33.0,  21.8,  11.9,   4.7]), // 27 overs left
+    Object.freeze([ 71.9,  68.8,  64.8,  59.5,  52.6,  43.8,  33.2,  21.8,  11.9,   4.7]), // 28 overs left
+    Object.freeze([ 73.5,  70.3,  66.1,  60.6,  53.4,  44.3,  33.4,  21.8,  11.9,   4.7]), // 29 overs left
+    Object.freeze([ 75.2,  71.8,  67.4,  61.6,  54.1,  44.7,  33.6,  21.9,  11.9,   4.7]), // 30 overs left
+    Object.freeze([ 76.8,  73.2,  68.6,  62.6,  54.8,  45.1,  33.7,  21.9,  11.9,   4.7]), // 31 overs left
+    Object.freeze([ 78.3,  74.6,  69.8,  63.5,  55.4,  45.5,  33.9,  21.9,  11.9,   4.7]), // 32 overs left
+    Object.freeze([ 79.8,  76.0,  70.9,  64.4,  56.1,  45.8,  34.0,  21.9,  11.9,   4.7]), // 33 overs left
+    Object.freeze([ 81.3,  77.3,  72.0,  65.3,  56.6,  46.1,  34.1,  21.9,  11.9,   4.7]), // 34 overs left
+    Object.freeze([ 82.7,  78.5,  73.1,  66.1,  57.2,  46.4,  34.2,  21.9,  11.9,   4.7]), // 35 overs left
+    Object.freeze([ 84.1,  79.7,  74.1,  66.9,  57.7,  46.7,  34.3,  22.0,  11.9,   4.7]), // 36 overs left
+    Object.freeze([ 85.4,  80.9,  75.1,  67.6,  58.2,  46.9,  34.4,  22.0,  11.9,   4.7]), // 37 overs left
+    Object.freeze([ 86.8,  82.1,  76.0,  68.3,  58.7,  47.2,  34.4,  22.0,  11.9,   4.7]), // 38 overs left
+    Object.freeze([ 88.0,  83.2,  76.9,  69.0,  59.1,  47.4,  34.5,  22.0,  11.9,   4.7]), // 39 overs left
+    Object.freeze([ 89.3,  84.3,  77.8,  69.7,  59.5,  47.6,  34.6,  22.0,  11.9,   4.7]), // 40 overs left
+    Object.freeze([ 90.5,  85.3,  78.7,  70.3,  59.9,  47.8,  34.6,  22.0,  11.9,   4.7]), // 41 overs left
+    Object.freeze([ 91.7,  86.3,  79.5,  70.9,  60.3,  48.0,  34.7,  22.0,  11.9,   4.7]), // 42 overs left
+    Object.freeze([ 92.8,  87.3,  80.3,  71.5,  60.7,  48.1,  34.7,  22.0,  11.9,   4.7]), // 43 overs left
+    Object.freeze([ 93.9,  88.3,  81.1,  72.0,  61.0,  48.3,  34.7,  22.0,  11.9,   4.7]), // 44 overs left
+    Object.freeze([ 95.0,  89.2,  81.8,  72.6,  61.3,  48.4,  34.8,  22.0,  11.9,   4.7]), // 45 overs left
+    Object.freeze([ 96.1,  90.1,  82.5,  73.1,  61.6,  48.6,  34.8,  22.0,  11.9,   4.7]), // 46 overs left
+    Object.freeze([ 97.1,  90.9,  83.2,  73.6,  61.9,  48.7,  34.8,  22.0,  11.9,   4.7]), // 47 overs left
+    Object.freeze([ 98.1,  91.8,  83.8,  74.0,  62.2,  48.8,  34.9,  22.0,  11.9,   4.7]), // 48 overs left
+    Object.freeze([ 99.1,  92.6,  84.5,  74.5,  62.5,  48.9,  34.9,  22.0,  11.9,   4.7]), // 49 overs left
+    Object.freeze([100.0,  93.4,  85.1,  74.9,  62.7,  49.0,  34.9,  22.0,  11.9,   4.7]), // 50 overs left
+]);
+
+export default Object.freeze({
+    TABLE,
+    // Overs covered by the table; longer innings are treated as 50 overs
+    MAX_OVERS: 50,
+    // Average score of a 50-over innings at this level, used to raise the target when the side
+    // batting second has more resources than the side batting first
+    G50: 200,
+});
@@ -0,0 +1,7 @@
+/**
+ * Phases of an innings, by the field restrictions in force: the powerplay at the start,
+ * the death overs at the end and the middle overs in between.
+ */
+const matchPhases = Object.freeze(['powerplay', 'middle', 'death']);
+
+export default matchPhases;
@@ -1,5 +1,98 @@
 import mongoose from 'mongoose';
 import mongooseAutopopulate from 'mongoose-autopopulate';
+import matchPhases from '../../constant/matchPhases.js';
+
+/**
+ * A stoppage in play, e.g. for rain, with the overs it cost the innings in progress (or, between
+ * innings, the innings to come). Balls rather than overs are kept so an innings can end mid-over.
+ */
+const InterruptionSchema = new mongoose.Schema({
+    innings_number: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    // Legal balls bowled and wickets lost in the innings when play stopped
+    balls_bowled: { type: Number, required: true, min: 0 },
+    wickets: { type: Number, required: true, min: 0 },
+    // Legal balls the innings was scheduled for before and after the interruption
+    max_balls_before: { type: Number, required: true, min: 0 },
+    max_balls_after: { type: Number, required: true, min: 0 },
+    overs_lost: { type: Number, default: 0, min: 0 },
+    // Play could not resume, which ends the match on the par score or without a result
+    resumed: { type: Boolean, default: true },
+    reason: { type: String, trim: true, default: '' },
+    timestamp: { type: Date, default: Date.now },
+});
+
+/**
+ * The players a team has picked for a match, with its captain, vice-captain, wicket-keeper and twelfth man.
+ */
+const PlayingXISchema = new mongoose.Schema({
+    team_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketTeam',
+        required: true,
+    },
+    players: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketPlayer',
+    }],
+    captain: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketPlayer',
+        required: true,
+    },
+    vice_captain: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketPlayer',
+        default: null,
+    },
+    wicket_keeper: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketPlayer',
+        required: true,
+    },
+    // Not in the side, but available to field as a substitute
+    twelfth_man: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketPlayer',
+        default: null,
+    },
+}, { _id: false });
+
+/**
+ * A player coming on for one of the playing XI during the match: as a substitute fielder, who may take
+ * catches but not bat or bowl, or as a like-for-like replacement, e.g. for concussion, who takes over
+ * every role of the player replaced.
+ */
+const SubstitutionSchema = new mongoose.Schema({
+    team_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketTeam',
+        required: true,
+    },
+    player_in: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketPlayer',
+        required: true,
+    },
+    player_out: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketPlayer',
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: ['fielding', 'replacement'],
+        required: true,
+    },
+    // Where the match was when the substitute came on
+    innings_number: { type: Number, required: true },
+    from_over: { type: Number, required: true },
+    reason: { type: String, trim: true, default: '' },
+    timestamp: { type: Date, default: Date.now },
+});
 
 const CricketMatchSchema = new mongoose.Schema({
     tournament_id: {
@@ -27,11 +120,26 @@ const CricketMatchSchema = new mongoose.Schema({
         ref: 'CricketTeam',
         required: true,
     },
+    // Overs per innings, taken from the format when the match is created without them
     overs: {
         type: Number,
         required: true,
         min: 1,
-        max: 50,
+    },
+    // Overrides the format of the tournament for this match
+    format: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MatchFormat',
+        default: null,
+    },
+    // The side each team picked; while a team has none, any player in its squad can play
+    playing_xi: {
+        type: [PlayingXISchema],
+        default: [],
+    },
+    substitutions: {
+        type: [SubstitutionSchema],
+        default: [],
     },
     innings: [{
         type: mongoose.Schema.Types.ObjectId,
@@ -64,15 +172,86 @@ const CricketMatchSchema = new mongoose.Schema({
         type: Number,
         default: null,
     },
+    interruptions: {
+        type: [InterruptionSchema],
+        default: [],
+    },
+    // Target revision for a shortened match, worked out from the resources table
+    dls: {
+        // Overs per innings the match was scheduled for before the first interruption
+        original_overs: { type: Number, default: null },
+        first_innings_runs: { type: Number, default: null },
+        // Percentage of the resources of a 50-over innings available to each side
+        team1_resources: { type: Number, default: null },
+        team2_resources: { type: Number, default: null },
+        // Set once an interruption has changed the target
+        revised_target: { type: Number, default: null },
+        // Runs the side batting second should have for the resources it has used so far
+        par_score: { type: Number, default: null },
+    },
     winner: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'CricketTeam',
         default: null,
     },
+    // A tie is settled by super overs instead of ending the match, as knockout games need a winner
+    super_over_on_tie: {
+        type: Boolean,
+        default: false,
+    },
+    // Filled in as the match is decided, by the innings that decides it or by an admin awarding the match
+    result: {
+        outcome: {
+            type: String,
+            enum: ['win', 'tie', 'draw', 'no_result', null],
+            default: null,
+        },
+        winner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CricketTeam',
+            default: null,
+        },
+        // Runs when the side batting first wins; wickets in hand and balls to spare when the chasing side wins.
+        // `innings` marks a win by an innings and `runs`, the winners needing to bat only once
+        margin: {
+            runs: { type: Number, default: null },
+            wickets: { type: Number, default: null },
+            balls_remaining: { type: Number, default: null },
+            innings: { type: Boolean, default: false },
+        },
+        // How the result was reached: in the regular innings, on a revised target or par score, in a super
+        // over, or awarded because a side did not turn up (walkover) or conceded (forfeit)
+        method: {
+            type: String,
+            enum: ['normal', 'dls', 'super_over', 'walkover', 'forfeit', null],
+            default: null,
+        },
+        // e.g. "Team A won by 5 wickets (with 12 balls remaining)"
+        summary: {
+            type: String,
+            default: '',
+        },
+    },
     endTime: {
         type: Date,
         default: null,
     },
+    // The admin scoring the match; anyone else can only read it until the lease is released or expires
+    scorer: {
+        username: {
+            type: String,
+            default: null,
+        },
+        claimed_at: {
+            type: Date,
+            default: null,
+        },
+        // Refreshed by every change the scorer makes; the lease expires after a period without one
+        last_active_at: {
+            type: Date,
+            default: null,
+        },
+    },
 }, { timestamps: true });
 
 const InningsSchema = new mongoose.Schema({
@@ -82,10 +261,17 @@ const InningsSchema = new mongoose.Schema({
         required: true,
         index: true,
     },
+    // Position of the innings in the match; super over innings follow the regular ones
     innings_number: {
         type: Number,
         required: true,
-        enum: [1, 2],
+        min: 1,
+    },
+    // The super over this innings belongs to, counting from 1; null for a regular innings
+    super_over: {
+        type: Number,
+        min: 1,
+        default: null,
     },
     batting_team_id: {
         type: mongoose.Schema.Types.ObjectId,
@@ -117,6 +303,22 @@ const InningsSchema = new mongoose.Schema({
         ref: 'CricketPlayer',
         required: true,
     },
+    // The over in progress; once complete, the next ball waits for a new bowler to be selected
+    current_over: {
+        number: { type: Number, default: 1 },
+        bowler: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CricketPlayer',
+            default: null,
+        },
+        runs: { type: Number, default: 0 },
+        wickets: { type: Number, default: 0 },
+        legal_balls: { type: Number, default: 0 },
+        balls: { type: [String], default: [] },
+        is_complete: { type: Boolean, default: false },
+    },
+    // The next delivery is a free hit, following a no-ball
+    free_hit: { type: Boolean, default: false },
     score: {
         runs: { type: Number, default: 0 },
         wickets: { type: Number, default: 0 },
@@ -139,12 +341,51 @@ const InningsSchema = new mongoose.Schema({
         description: { type: String, required: true },
         timestamp: { type: Date, default: Date.now },
     }],
+    // Each pair at the crease, numbered by the wicket it was for, with each batsman's share of it
+    partnerships: [{
+        _id: false,
+        wicket: { type: Number, required: true },
+        batsmen: [{ type: mongoose.Schema.Types.ObjectId, ref: 'CricketPlayer' }],
+        runs: { type: Number, default: 0 },
+        balls: { type: Number, default: 0 },
+        extras: { type: Number, default: 0 },
+        contributions: [{
+            _id: false,
+            player_id: { type: mongoose.Schema.Types.ObjectId, ref: 'CricketPlayer' },
+            runs: { type: Number, default: 0 },
+            balls: { type: Number, default: 0 },
+        }],
+    }],
+    // Runs, wickets and run rate in the powerplay, middle and death overs
+    phases: Object.fromEntries(matchPhases.map((phase) => [phase, {
+        runs: { type: Number, default: 0 },
+        wickets: { type: Number, default: 0 },
+        balls: { type: Number, default: 0 },
+        overs: { type: Number, default: 0 },
+        run_rate: { type: Number, default: 0 },
+    }])),
+    // The score and over when each wicket fell
+    fall_of_wickets: [{
+        _id: false,
+        wicket: { type: Number, required: true },
+        runs: { type: Number, required: true },
+        balls: { type: Number, required: true },
+        overs: { type: Number, required: true },
+        player_out: { type: mongoose.Schema.Types.ObjectId, ref: 'CricketPlayer', default: null },
+    }],
     status: {
         type: String,
         enum: ['ongoing', 'completed'],
         default: 'ongoing',
     },
     endTime: { type: Date, default: null },
+    // The replayed state after the last delivery and the rules it was replayed under, so the next ball
+    // is applied to it instead of replaying the whole log. Internal, so never loaded unless asked for.
+    replay_cache: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+        select: false,
+    },
 }, { timestamps: true });
 
 InningsSchema.pre('save', function (next) {
@@ -1,28 +1,13 @@
 import mongoose from 'mongoose';
 import mongooseAutopopulate from 'mongoose-autopopulate';
+import dismissals from '../../constant/dismissals.js';
 
 /**
  * Enumerations for various fields to ensure data consistency.
  */
 const STRIKING_ROLE_ENUM = [0, 1, 2]; // 0: Out, 1: Striker, 2: Non-striker
-const OUT_TYPE_ENUM = [
-  'caught',
-  'bowled',
-  'run_out',
-  'stumped',
-  'lbw',
-  'hit_wicket',
-  'other',
-];
-const DISMISSAL_TYPE_ENUM = [
-  'caught',
-  'bowled',
-  'run_out',
-  'stumped',
-  'lbw',
-  'hit_wicket',
-  'other',
-];
+const OUT_TYPE_ENUM = dismissals.TYPES;
+const DISMISSAL_TYPE_ENUM = dismissals.TYPES;
 
 /**
  * Status Schema:
@@ -50,7 +35,7 @@ const CricketPlayerStatusSchema = new mongoose.Schema(
       type: Number,
       required: true,
       immutable: true,
-      enum: [1, 2],
+      min: 1,
       index: true,
     },
     /**
@@ -74,13 +59,21 @@ const CricketPlayerStatusSchema = new mongoose.Schema(
         default: null, // 0: Out, 1: Striker, 2: Non-striker
         index: true,
       },
+      // Set while the batsman is off the field after retiring hurt or not out
+      retired: {
+        type: String,
+        enum: [...dismissals.RETIREMENTS, null],
+        default: null,
+      },
     },
     /**
      * Bowling Statistics
      */
     bowling: {
       runs_conceded: { type: Number, default: 0, min: 0 },
-      overs_bowled: { type: Number, default: 0, min: 0 },
+      balls_bowled: { type: Number, default: 0, min: 0 }, // Legal deliveries only
+      overs_bowled: { type: Number, default: 0, min: 0 }, // Cricket notation derived from balls_bowled, e.g. 3.2
+      dot_balls: { type: Number, default: 0, min: 0 },
       maidens: { type: Number, default: 0, min: 0 },
       wickets: { type: Number, default: 0, min: 0 },
       extras_conceded: { type: Number, default: 0, min: 0 },
@@ -94,6 +87,7 @@ const CricketPlayerStatusSchema = new mongoose.Schema(
     fielding: {
       catches: { type: Number, default: 0, min: 0 },
       stumpings: { type: Number, default: 0, min: 0 },
+      run_outs: { type: Number, default: 0, min: 0 }, // Every fielder involved in the run out
     },
     /**
      * Dismissal Information
@@ -140,7 +134,10 @@ CricketPlayerStatusSchema.index(
 CricketPlayerStatusSchema.plugin(mongooseAutopopulate);
 
 /**
- * Middleware to Calculate Strike Rate and Economy Rate
+ * Middleware to Calculate Strike Rate
+ * Documents written through `bulkWrite` skip this hook, so the scoring service derives the same
+ * value itself when it writes player statistics. Overs bowled and economy rate depend on the balls
+ * per over of the match format, so only the scoring service derives them.
  */
 CricketPlayerStatusSchema.pre('save', function (next) {
   // Calculate Strike Rate
@@ -150,13 +147,6 @@ CricketPlayerStatusSchema.pre('save', function (next) {
     this.batting.strike_rate = 0;
   }
 
-  // Calculate Economy Rate
-  if (this.bowling.overs_bowled > 0) {
-    this.bowling.economy_rate = this.bowling.runs_conceded / this.bowling.overs_bowled;
-  } else {
-    this.bowling.economy_rate = 0;
-  }
-
   next();
 });
 
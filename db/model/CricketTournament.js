@@ -82,6 +82,12 @@ const CricketTournamentSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Rules for every match of the tournament, unless a match sets its own
+    format: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MatchFormat',
+        default: null,
+    },
     point_table: {
         type: [PointTableSchema],
         default: []
@@ -0,0 +1,193 @@
+import mongoose from 'mongoose';
+import dismissals from '../../constant/dismissals.js';
+import matchPhases from '../../constant/matchPhases.js';
+
+/**
+ * Delivery Schema:
+ * One document per ball bowled in an innings, kept in bowling order so the
+ * innings can be read back (or rebuilt) exactly as it was played.
+ */
+const DeliverySchema = new mongoose.Schema({
+    match_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketMatch',
+        required: true,
+        index: true,
+    },
+    innings_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Innings',
+        required: true,
+        index: true,
+    },
+    innings_number: {
+        type: Number,
+        required: true,
+    },
+    // Position of the delivery within the innings, starting at 1
+    sequence: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    // Over the delivery belongs to, starting at 1
+    over: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    // Legal ball number within the over; extras repeat the number of the ball they precede
+    ball: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    // A ball bowled, or an event between balls that does not use up a ball: a dismissal
+    // (retired out, timed out), a batsman retiring hurt or not out, or penalty runs awarded by the umpires
+    kind: {
+        type: String,
+        enum: ['delivery', 'dismissal', 'retirement', 'penalty'],
+        default: 'delivery',
+    },
+    outcome: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    is_legal: {
+        type: Boolean,
+        default: true,
+    },
+    // Bowled as a free hit following a no-ball
+    is_free_hit: {
+        type: Boolean,
+        default: false,
+    },
+    // Phase of the innings the delivery was bowled in; derived from the over and the format
+    phase: {
+        type: String,
+        enum: [...matchPhases, null],
+        default: null,
+    },
+    bowler: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketPlayer',
+        required: true,
+    },
+    striker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketPlayer',
+        required: true,
+    },
+    // Empty once the last batsman bats alone under last man stands
+    non_striker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketPlayer',
+        default: null,
+    },
+    runs_off_bat: { type: Number, default: 0, min: 0 },
+    extras: {
+        wides: { type: Number, default: 0, min: 0 },
+        no_balls: { type: Number, default: 0, min: 0 },
+        byes: { type: Number, default: 0, min: 0 },
+        leg_byes: { type: Number, default: 0, min: 0 },
+        penalty: { type: Number, default: 0, min: 0 },
+        total: { type: Number, default: 0, min: 0 },
+    },
+    total_runs: { type: Number, default: 0, min: 0 },
+    // The runs off the bat or the extras reached the boundary
+    is_boundary: { type: Boolean, default: false },
+    // Runs completed between the wickets, which decide the strike; unset for deliveries recorded without it
+    runs_run: { type: Number, min: 0 },
+    wicket: {
+        is_wicket: { type: Boolean, default: false },
+        // End of the dismissed batsman when the ball was bowled; `player_out` is derived from it
+        batter: {
+            type: String,
+            enum: ['striker', 'non_striker'],
+            default: 'striker',
+        },
+        player_out: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CricketPlayer',
+            default: null,
+        },
+        dismissal_type: {
+            type: String,
+            enum: [...dismissals.TYPES, null],
+            default: null,
+        },
+        // Fielders involved, the one credited with a catch or stumping first
+        fielders: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CricketPlayer',
+        }],
+        // The batsmen had crossed before a run out or obstruction, which decides the incoming batsman's end
+        crossed: { type: Boolean, default: false },
+    },
+    retirement: {
+        // End of the retiring batsman; `player` is derived from it
+        batter: {
+            type: String,
+            enum: ['striker', 'non_striker', null],
+            default: null,
+        },
+        player: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CricketPlayer',
+            default: null,
+        },
+        reason: {
+            type: String,
+            enum: [...dismissals.RETIREMENTS, null],
+            default: null,
+        },
+    },
+    penalty: {
+        runs: { type: Number, min: 1, default: null },
+        // The side the runs are awarded to
+        awarded_to: {
+            type: String,
+            enum: ['batting', 'fielding', null],
+            default: null,
+        },
+        team_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CricketTeam',
+            default: null,
+        },
+        // The innings of the fielding side the runs are added to: its last innings, or its next one when unset
+        credited_innings_number: { type: Number, default: null },
+        reason: { type: String, trim: true, default: '' },
+    },
+    next_batsman: {
+        player_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CricketPlayer',
+            default: null,
+        },
+        strike_role: {
+            type: Number,
+            enum: [1, 2, null],
+            default: null,
+        },
+    },
+    commentary: {
+        type: String,
+        default: '',
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now,
+    },
+}, { timestamps: true });
+
+/**
+ * Compound Unique Index:
+ * Ensures a single delivery per position in an innings.
+ */
+DeliverySchema.index({ innings_id: 1, sequence: 1 }, { unique: true });
+
+const Delivery = mongoose.model('Delivery', DeliverySchema);
+
+export default Delivery;
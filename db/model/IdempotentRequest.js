@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+/**
+ * Idempotent Request Schema:
+ * The response to a request sent with an idempotency key, stored in the same transaction as the change
+ * it made, so a retry with the same key gets the original response instead of making the change again.
+ */
+const IdempotentRequestSchema = new mongoose.Schema({
+    // The key the client sent, unique per admin
+    key: {
+        type: String,
+        required: true,
+    },
+    username: {
+        type: String,
+        required: true,
+    },
+    // What the request did, e.g. `ball:<inningsId>`; a key cannot be reused for anything else
+    action: {
+        type: String,
+        required: true,
+    },
+    status_code: {
+        type: Number,
+        required: true,
+    },
+    message: {
+        type: String,
+        default: '',
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    // Retries come within minutes; keys are kept for a day
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 60 * 60 * 24,
+    },
+});
+
+/**
+ * Compound Unique Index:
+ * Ensures an admin's key is only ever used for one request.
+ */
+IdempotentRequestSchema.index({ username: 1, key: 1 }, { unique: true });
+
+const IdempotentRequest = mongoose.model('IdempotentRequest', IdempotentRequestSchema);
+
+export default IdempotentRequest;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+/**
+ * Match Event Schema:
+ * Each live update sent to the room of a match, numbered in the order it was sent, so a client
+ * that missed some can ask for everything after the last one it saw.
+ */
+const MatchEventSchema = new mongoose.Schema({
+    match_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketMatch',
+        required: true,
+    },
+    // Position of the event among the events of the match, starting at 1
+    sequence: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    event: {
+        type: String,
+        required: true,
+    },
+    // The arguments the event was emitted with
+    args: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: [],
+    },
+    // Events are only kept long enough for clients to catch up after a dropped connection
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 60 * 60 * 24 * 2,
+    },
+});
+
+/**
+ * Compound Unique Index:
+ * Ensures a single event per position in a match.
+ */
+MatchEventSchema.index({ match_id: 1, sequence: 1 }, { unique: true });
+
+const MatchEvent = mongoose.model('MatchEvent', MatchEventSchema);
+
+export default MatchEvent;
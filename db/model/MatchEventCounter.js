@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+/**
+ * Match Event Counter Schema:
+ * The sequence number of the last live update sent to the room of each match. Kept apart from the match
+ * itself so numbering an update never writes to the document the scoring transactions update.
+ */
+const MatchEventCounterSchema = new mongoose.Schema({
+    match_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CricketMatch',
+        required: true,
+        unique: true,
+    },
+    sequence: {
+        type: Number,
+        default: 0,
+    },
+});
+
+const MatchEventCounter = mongoose.model('MatchEventCounter', MatchEventCounterSchema);
+
+export default MatchEventCounter;
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+/**
+ * Match Format Schema:
+ * The rules a match is played under (T20, T10, 6-a-side, box cricket, last man stands...).
+ * Referenced by a tournament for all of its matches, or by a single match to override it.
+ */
+const MatchFormatSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: '',
+    },
+    players_per_side: {
+        type: Number,
+        required: true,
+        min: 2,
+        max: 11,
+        default: 11,
+    },
+    // Wickets that end an innings; when unset, all out is one fewer than the players per side,
+    // or every player under last man stands
+    max_wickets: {
+        type: Number,
+        min: 1,
+        default: null,
+    },
+    // Innings each side bats: one for limited-overs cricket, two for a multi-day game
+    innings_per_side: {
+        type: Number,
+        enum: [1, 2],
+        default: 1,
+    },
+    // Overs per innings
+    overs: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    balls_per_over: {
+        type: Number,
+        min: 1,
+        max: 10,
+        default: 6,
+    },
+    powerplay_overs: {
+        type: Number,
+        min: 0,
+        default: 0,
+    },
+    // Overs at the end of an innings counted as the death overs in phase-wise figures
+    death_overs: {
+        type: Number,
+        min: 0,
+        default: 0,
+    },
+    // Overs a single bowler may bowl in an innings; when unset, a fifth of the overs rounded up in
+    // single-innings formats and no limit in two-innings formats
+    max_overs_per_bowler: {
+        type: Number,
+        min: 1,
+        default: null,
+    },
+    // The last batsman may carry on alone once every partner is out
+    last_man_stands: {
+        type: Boolean,
+        default: false,
+    },
+    // First innings lead that lets the side batting first make the other side follow on;
+    // when unset, the follow-on cannot be enforced
+    follow_on_lead: {
+        type: Number,
+        min: 1,
+        default: null,
+    },
+}, { timestamps: true });
+
+/**
+ * Keeps the limits of a format consistent with its overs and players.
+ */
+MatchFormatSchema.pre('validate', function (next) {
+    if (this.powerplay_overs > this.overs) {
+        this.invalidate('powerplay_overs', 'Powerplay overs cannot exceed the overs of the format');
+    }
+
+    if (this.powerplay_overs + this.death_overs > this.overs) {
+        this.invalidate('death_overs', 'The powerplay and death overs cannot overlap');
+    }
+
+    if (this.max_overs_per_bowler && this.max_overs_per_bowler > this.overs) {
+        this.invalidate('max_overs_per_bowler', 'A bowler cannot bowl more overs than the format has');
+    }
+
+    const allOut = this.last_man_stands ? this.players_per_side : this.players_per_side - 1;
+    if (this.max_wickets && this.max_wickets > allOut) {
+        this.invalidate('max_wickets', `An innings cannot last beyond ${allOut} wickets with ${this.players_per_side} players`);
+    }
+
+    if (this.follow_on_lead && this.innings_per_side !== 2) {
+        this.invalidate('follow_on_lead', 'A follow-on is only possible when each side bats twice');
+    }
+
+    next();
+});
+
+const MatchFormat = mongoose.model('MatchFormat', MatchFormatSchema);
+
+export default MatchFormat;
@@ -6,6 +6,11 @@ import { CricketMatch, Innings } from './CricketMatch.js';
 import CricketPlayer from './CricketPlayer.js';
 import CricketTeam from './CricketTeam.js';
 import CricketPlayerStatus from './CricketPlayerStatus.js';
+import Delivery from './Delivery.js';
+import MatchFormat from './MatchFormat.js';
+import MatchEvent from './MatchEvent.js';
+import MatchEventCounter from './MatchEventCounter.js';
+import IdempotentRequest from './IdempotentRequest.js';
 
 export {
     Admin,
@@ -15,5 +20,10 @@ export {
     Innings,
     CricketMatch,
     CricketTournament,
-    CricketPlayerStatus
+    CricketPlayerStatus,
+    Delivery,
+    MatchFormat,
+    MatchEvent,
+    MatchEventCounter,
+    IdempotentRequest
 };
@@ -5,6 +5,7 @@ import config from './config/config.js';
 import logger from './utils/logger.js';
 import { connectToDatabase } from './db/index.js';
 import { Server } from 'socket.io';
+import initSockets from './sockets/index.js';
 
 const PORT = config.PORT;
 const server = http.createServer(app);
@@ -17,13 +18,7 @@ const io = new Server(server, {
 });
 app.set('io', io);
 
-io.on('connection', (socket) => {
-    logger.info(`Client connected: ${socket.id}`);
-
-    socket.on('disconnect', () => {
-        logger.info(`Client disconnected: ${socket.id}`);
-    });
-});
+initSockets(io);
 
 server.listen(PORT, async () => {
     connectToDatabase();
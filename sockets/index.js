@@ -0,0 +1,31 @@
+/**
+ * Socket.IO setup: logs connections, registers the handlers clients use to follow matches and sets up
+ * the scorer namespace.
+ *
+ * @module sockets
+ */
+
+import logger from '../utils/logger.js';
+import { registerRoomHandlers } from './rooms.js';
+import initScorerNamespace from './scorer.js';
+
+/**
+ * Registers the connection handlers of the Socket.IO server.
+ *
+ * @param {Server} io - The Socket.IO server.
+ */
+const initSockets = (io) => {
+    io.on('connection', (socket) => {
+        logger.info(`Client connected: ${socket.id}`);
+
+        registerRoomHandlers(socket);
+
+        socket.on('disconnect', () => {
+            logger.info(`Client disconnected: ${socket.id}`);
+        });
+    });
+
+    initScorerNamespace(io);
+};
+
+export default initSockets;
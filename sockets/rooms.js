@@ -0,0 +1,193 @@
+/**
+ * Socket Rooms.
+ *
+ * Clients join the room of each match or tournament they follow, and the lobby for match listings,
+ * so a live update only reaches the clients watching that match. Every update about a match carries the
+ * next `eventSequence` of that match, so a client can tell when it missed one and ask for a replay.
+ *
+ * @module rooms
+ */
+
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import responseMessage from '../constant/responseMessage.js';
+import { getEventsSince, getMatchState, publishMatchEvent } from '../api/services/matchEventService.js';
+
+// Match listings: matches created, changed, started, finished or removed
+export const LOBBY_ROOM = 'lobby';
+
+const idOf = (ref) => String(ref._id || ref);
+
+/**
+ * The room of a match, e.g. `match:64f1c0...`.
+ *
+ * @param {*} matchId - The match, or its ID.
+ * @returns {string} The room name.
+ */
+export const matchRoom = (matchId) => `match:${idOf(matchId)}`;
+
+/**
+ * The room of a tournament, e.g. `tournament:64f1c0...`.
+ *
+ * @param {*} tournamentId - The tournament, or its ID.
+ * @returns {string} The room name.
+ */
+export const tournamentRoom = (tournamentId) => `tournament:${idOf(tournamentId)}`;
+
+// The pending updates of each match, chained so they go out in the order of their sequence numbers
+const queues = new Map();
+
+/**
+ * Numbers an update, stores it for replay and sends it to the rooms, after any earlier update of the
+ * same match. An update that cannot be stored is still sent, without a sequence number.
+ */
+const publish = (io, rooms, matchId, event, args) => {
+    const key = idOf(matchId);
+    const payload = JSON.parse(JSON.stringify(args));
+
+    const sent = (queues.get(key) || Promise.resolve()).then(async () => {
+        let sequence = null;
+        try {
+            sequence = await publishMatchEvent(key, event, payload);
+        } catch (error) {
+            logger.error(`Match Event Error: ${error.message}`);
+        }
+
+        const [first, ...rest] = payload;
+        const numbered = sequence !== null && first && typeof first === 'object' && !Array.isArray(first)
+            ? [{ ...first, eventSequence: sequence }, ...rest]
+            : payload;
+        io.to(rooms).emit(event, ...numbered);
+    }).catch((error) => {
+        logger.error(`Socket Emit Error: ${error.message}`);
+    });
+
+    queues.set(key, sent);
+    sent.finally(() => {
+        if (queues.get(key) === sent) queues.delete(key);
+    });
+    return sent;
+};
+
+/**
+ * Sends a ball-by-ball update to the clients following a match.
+ *
+ * @param {Server} io - The Socket.IO server.
+ * @param {*} matchId - The match, or its ID.
+ * @param {string} event - The event name.
+ * @param {...*} args - The event payload.
+ * @returns {Promise<void>} Settles once the update is sent.
+ */
+export const emitToMatch = (io, matchId, event, ...args) => publish(io, matchRoom(matchId), matchId, event, args);
+
+/**
+ * Sends a change to a match as a whole, e.g. its status, toss or result, to the clients following the
+ * match, its tournament or the lobby. A client in more than one of the rooms receives it once.
+ *
+ * @param {Server} io - The Socket.IO server.
+ * @param {Object} match - The match, with its `_id` and `tournament_id`.
+ * @param {string} event - The event name.
+ * @param {...*} args - The event payload.
+ * @returns {Promise<void>} Settles once the update is sent.
+ */
+export const emitMatchListing = (io, match, event, ...args) => {
+    const rooms = [matchRoom(match._id), LOBBY_ROOM];
+    if (match.tournament_id) rooms.push(tournamentRoom(match.tournament_id));
+
+    return publish(io, rooms, match._id, event, args);
+};
+
+/**
+ * Sends the updates for a ball once it is scored: the updated innings, the new status of a match the
+ * ball decided, and a summary of the over the ball completed.
+ *
+ * @param {Server} io - The Socket.IO server.
+ * @param {Object} params
+ * @param {Object} params.match - The match.
+ * @param {Object} params.innings - The innings.
+ * @param {Object} params.snapshot - The innings snapshot after the ball.
+ * @param {Object} params.delivery - The stored delivery.
+ * @param {Object|null} params.completedOver - The over the ball completed, if any.
+ */
+export const emitBallScored = (io, { match, innings, snapshot, delivery, completedOver }) => {
+    emitToMatch(io, innings.match_id, 'innings-updated', { ...snapshot, delivery });
+    // A ball that decides the match changes how it is listed
+    if (match.status === 'completed') {
+        emitMatchListing(io, match, 'match-status-updated', match);
+    }
+
+    if (completedOver) {
+        emitToMatch(io, innings.match_id, 'over-completed', {
+            matchId: innings.match_id,
+            inningsId: innings._id,
+            over: completedOver,
+        });
+    }
+};
+
+/**
+ * Registers the handlers a client uses to join and leave rooms. Each handler acknowledges with the
+ * room joined or left, or an error for an invalid ID.
+ *
+ * A client joining a match room is sent its current state as `match-state`, and the sequence number the
+ * state is up to in the acknowledgement. A client that finds a gap in the sequence numbers sends
+ * `replay-match` with the last one it received, and is acknowledged with the `events` since then; when
+ * they are not `complete` it should rejoin the room instead.
+ *
+ * @param {Socket} socket - The client socket.
+ */
+export const registerRoomHandlers = (socket) => {
+    const handle = (event, roomOf, join, onJoined = null) => {
+        socket.on(event, async (id, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            if (roomOf && !mongoose.isValidObjectId(id)) {
+                reply({ success: false, message: 'Invalid ID' });
+                return;
+            }
+
+            const room = roomOf ? roomOf(id) : LOBBY_ROOM;
+            let extra = {};
+            try {
+                if (join) {
+                    await socket.join(room);
+                    if (onJoined) extra = await onJoined(id);
+                } else {
+                    await socket.leave(room);
+                }
+            } catch (error) {
+                logger.error(`Socket Room Error: ${error.message}`);
+                reply({ success: false, message: responseMessage.SOMETHING_WENT_WRONG });
+                return;
+            }
+            reply({ success: true, room, ...extra });
+        });
+    };
+
+    handle('join-match', matchRoom, true, async (matchId) => {
+        const state = await getMatchState(matchId);
+        if (!state) return {};
+
+        socket.emit('match-state', JSON.parse(JSON.stringify(state)));
+        return { sequence: state.sequence };
+    });
+    handle('leave-match', matchRoom, false);
+    handle('join-tournament', tournamentRoom, true);
+    handle('leave-tournament', tournamentRoom, false);
+    handle('join-lobby', null, true);
+    handle('leave-lobby', null, false);
+
+    socket.on('replay-match', async ({ matchId, since } = {}, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!mongoose.isValidObjectId(matchId)) {
+            reply({ success: false, message: 'Invalid ID' });
+            return;
+        }
+
+        try {
+            reply({ success: true, ...(await getEventsSince(matchId, since)) });
+        } catch (error) {
+            logger.error(`Match Replay Error: ${error.message}`);
+            reply({ success: false, message: responseMessage.SOMETHING_WENT_WRONG });
+        }
+    });
+};
@@ -0,0 +1,139 @@
+/**
+ * Scorer Namespace.
+ *
+ * An authenticated Socket.IO namespace, `/scorer`, where admins score a match over a connection they
+ * keep open instead of making an HTTP request per ball. A ball submitted here goes through the same
+ * validation and transaction as the REST ball endpoint, and reaches the clients following the match
+ * the same way.
+ *
+ * @module scorer
+ */
+
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import responseMessage from '../constant/responseMessage.js';
+import { getUser } from '../utils/authToken.js';
+import { describeError } from '../utils/httpError.js';
+import { getSavedResponse, resolveIdempotencyKey, saveResponse } from '../api/services/idempotencyService.js';
+import { scoreBall } from '../api/services/inningsService.js';
+import { emitBallScored } from './rooms.js';
+
+export const SCORER_NAMESPACE = '/scorer';
+
+const SCORER_ROLES = ['admin', 'super_admin'];
+
+/**
+ * The token a client connected with: `auth.token` in the handshake, or a Bearer `Authorization` header.
+ */
+const tokenOf = (handshake) => {
+    if (handshake.auth && handshake.auth.token) return handshake.auth.token;
+
+    const authHeader = handshake.headers.authorization;
+    return authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+};
+
+/**
+ * Admits only clients with a valid admin token, and keeps the admin on `socket.data.user`.
+ */
+const authenticate = (socket, next) => {
+    const token = tokenOf(socket.handshake);
+    if (!token) {
+        next(new Error('Unauthorized! Token Missing.'));
+        return;
+    }
+
+    const user = getUser(token);
+    if (!user || !SCORER_ROLES.includes(user.role)) {
+        next(new Error('Unauthorized! Invalid Token.'));
+        return;
+    }
+
+    socket.data.user = user;
+    next();
+};
+
+/**
+ * Scores a ball: `submit-ball` with `{ matchId, inningsId, ball }`, where `ball` is the body the REST ball
+ * endpoint takes. Acknowledged with `{ success: true, data }`, the updated innings with the delivery, or
+ * `{ success: false, status, message }`. A ball resubmitted with the same `client_delivery_id` is
+ * acknowledged with the original data instead of being recorded twice.
+ */
+const registerBallHandler = (io, socket) => {
+    socket.on('submit-ball', async (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        let session = null;
+        try {
+            const { matchId, inningsId, ball } = payload || {};
+            if (!mongoose.isValidObjectId(matchId) || !mongoose.isValidObjectId(inningsId)) {
+                reply({ success: false, status: 400, message: 'Invalid ID' });
+                return;
+            }
+
+            const body = ball || {};
+            session = await mongoose.startSession();
+            session.startTransaction();
+
+            const idempotency = {
+                key: resolveIdempotencyKey(body.client_delivery_id),
+                user: socket.data.user,
+                action: `ball:${inningsId}`,
+            };
+            const saved = await getSavedResponse(session, idempotency);
+            if (saved) {
+                await session.abortTransaction();
+                reply({ success: true, data: saved.data });
+                return;
+            }
+
+            const { match, innings, delivery, completedOver, snapshot, nextBatsmanStatus } = await scoreBall(session, {
+                matchId,
+                inningsId,
+                body,
+                user: socket.data.user,
+            });
+            const data = { ...snapshot, delivery, nextBatsmanStatus };
+
+            await saveResponse(session, { ...idempotency, status: 200, message: responseMessage.UPDATED('Innings'), data });
+
+            await session.commitTransaction();
+
+            emitBallScored(io, { match, innings, snapshot, delivery, completedOver });
+
+            reply({ success: true, data });
+        } catch (error) {
+            if (session && session.inTransaction()) {
+                await session.abortTransaction();
+            }
+            // Reported with the status and message the REST ball endpoint gives the same error
+            const { statusCode, message } = describeError(error);
+            if (statusCode >= 500) {
+                logger.error(`Scorer Socket Error: ${error.message}`);
+            }
+            reply({ success: false, status: statusCode, message: message || responseMessage.SOMETHING_WENT_WRONG });
+        } finally {
+            if (session) session.endSession();
+        }
+    });
+};
+
+/**
+ * Sets up the scorer namespace.
+ *
+ * @param {Server} io - The Socket.IO server.
+ */
+const initScorerNamespace = (io) => {
+    const scorers = io.of(SCORER_NAMESPACE);
+    scorers.use(authenticate);
+
+    scorers.on('connection', (socket) => {
+        logger.info(`Scorer connected: ${socket.data.user.username} (${socket.id})`);
+
+        registerBallHandler(io, socket);
+
+        socket.on('disconnect', () => {
+            logger.info(`Scorer disconnected: ${socket.data.user.username} (${socket.id})`);
+        });
+    });
+};
+
+export default initScorerNamespace;
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+import { replayInnings } from '../api/services/scoringEngine.js';
+import Delivery from '../db/model/Delivery.js';
+
+const newId = () => String(new mongoose.Types.ObjectId());
+
+const [striker, nonStriker, nextBatsman, bowler, changeBowler] = Array.from({ length: 5 }, newId);
+
+const ball = (runs, { out = false, next = null, by = bowler } = {}) => ({
+    kind: 'delivery',
+    outcome: out ? 'W' : String(runs),
+    runs_off_bat: runs,
+    is_legal: true,
+    extras: { wides: 0, no_balls: 0, byes: 0, leg_byes: 0, penalty: 0, total: 0 },
+    wicket: out ? { is_wicket: true, dismissal_type: 'bowled' } : {},
+    bowler: by,
+    next_batsman: { player_id: next },
+});
+
+// Three a side: once two are out, the last batsman carries on alone until the third wicket
+const rules = {
+    inningsNumber: 1,
+    ballsPerOver: 6,
+    maxBalls: 60,
+    maxWickets: 3,
+    maxOversPerBowler: 10,
+    playersPerSide: 3,
+    lastManStands: true,
+    chasing: false,
+    setsTarget: true,
+    lead: 0,
+    target: null,
+    closed: false,
+    battingTeamId: 'A',
+    bowlingTeamId: 'B',
+    battingTeamName: 'Alpha',
+    bowlingTeamName: 'Beta',
+};
+
+const deliveries = [
+    ball(1),
+    ball(0, { out: true, next: nextBatsman }),
+    ball(2),
+    ball(0, { out: true }),
+    ball(4),
+    ball(1),
+    ball(0, { out: true, by: changeBowler }),
+];
+
+test('a last man stands innings replays to its end with the last batsman alone', () => {
+    const { state, annotations } = replayInnings({
+        openers: { striker, nonStriker, bowler },
+        deliveries,
+        rules,
+    });
+
+    assert.equal(state.status, 'completed');
+    assert.equal(state.score.wickets, 3);
+    assert.equal(state.score.runs, 8);
+    assert.deepEqual(annotations.slice(4).map((annotation) => annotation.non_striker), [null, null, null]);
+
+    // Every delivery, including those the last batsman faced alone, can be stored
+    const [matchId, inningsId] = [newId(), newId()];
+    annotations.forEach((annotation, index) => {
+        const delivery = new Delivery({
+            ...deliveries[index],
+            match_id: matchId,
+            innings_id: inningsId,
+            innings_number: 1,
+            sequence: index + 1,
+            over: annotation.over,
+            ball: annotation.ball,
+            bowler: annotation.bowler,
+            striker: annotation.striker,
+            non_striker: annotation.non_striker,
+        });
+        assert.equal(delivery.validateSync(), undefined, `delivery ${index + 1} is valid`);
+    });
+});
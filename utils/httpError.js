@@ -10,6 +10,48 @@
 import mongoose from 'mongoose';
 import errorObject from './errorObject.js';
 
+/**
+ * Maps Mongoose-specific errors to a message and HTTP status code.
+ *
+ * @function mongooseErrorDetails
+ * @param {Error} err - The error object.
+ * @returns {{ message: string, statusCode: number }} - The message and status code for the error.
+ */
+const mongooseErrorDetails = (err) => {
+    if (err instanceof mongoose.Error.ValidationError) {
+        return {
+            message: `Validation Error: ${Object.values(err.errors).map((error) => error.message).join('; ')}`,
+            statusCode: 400, // Bad Request
+        };
+    }
+    if (err instanceof mongoose.Error.CastError) {
+        return { message: 'Invalid data format or ID.', statusCode: 400 }; // Bad Request
+    }
+    if (err.name === 'MongoNetworkError') {
+        return { message: 'Database connection error.', statusCode: 500 }; // Internal Server Error
+    }
+    if (err.code === 11000) {
+        return { message: 'Duplicate key error: Data already exists.', statusCode: 400 }; // Bad Request
+    }
+    return { message: err.message || 'An unexpected error occurred.', statusCode: 500 }; // Internal Server Error
+};
+
+/**
+ * Works out the message and HTTP status code of any error, the way HTTP error responses report them.
+ * Used where errors are reported outside an HTTP response, e.g. in socket acknowledgements.
+ *
+ * @function describeError
+ * @param {Error} err - The error object.
+ * @param {number} [errorStatusCode=500] - The status code when the error does not carry one.
+ * @returns {{ message: string, statusCode: number }} - The message and status code for the error.
+ */
+export const describeError = (err, errorStatusCode = 500) => {
+    if (err instanceof mongoose.Error || err.code === 11000) {
+        return mongooseErrorDetails(err);
+    }
+    return { message: err.message, statusCode: err.status || errorStatusCode };
+};
+
 /**
  * Handles Mongoose-specific errors.
  *
@@ -19,27 +61,9 @@ import errorObject from './errorObject.js';
  * @returns {Object} - A standardized error object.
  */
 const handleMongooseError = (err, req) => {
-    let errorMessage;
-    let statusCode;
-
-    if (err instanceof mongoose.Error.ValidationError) {
-        errorMessage = `Validation Error: ${Object.values(err.errors).map((error) => error.message).join('; ')}`;
-        statusCode = 400; // Bad Request
-    } else if (err instanceof mongoose.Error.CastError) {
-        errorMessage = 'Invalid data format or ID.';
-        statusCode = 400; // Bad Request
-    } else if (err.name === 'MongoNetworkError') {
-        errorMessage = 'Database connection error.';
-        statusCode = 500; // Internal Server Error
-    } else if (err.code === 11000) {
-        errorMessage = 'Duplicate key error: Data already exists.';
-        statusCode = 400; // Bad Request
-    } else {
-        errorMessage = err.message || 'An unexpected error occurred.';
-        statusCode = 500; // Internal Server Error
-    }
+    const { message, statusCode } = mongooseErrorDetails(err);
 
-    return errorObject(new Error(errorMessage), req, statusCode);
+    return errorObject(new Error(message), req, statusCode);
 };
 
 /**